@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const upstream = require('./upstream');
+
+// Offline anime ID mapping: Kitsu ↔ MAL ↔ AniList ↔ AniDB ↔ IMDb/TVDB with titles, synonyms and seasons
+//
+// Built from two public datasets and saved as one compact file (ANIME_DB_PATH):
+//   manami-project/anime-offline-database - title, synonyms, type, year, episodes and site IDs
+//   Fribb/anime-lists                     - IMDb/TVDB IDs and the TVDB season of each entry
+// refresh() downloads and merges them again; lookups only use the in-memory index.
+// The downloads are parsed as streams, entry by entry, and only the fields the resolver uses are
+// kept - the datasets themselves (up to 150 MB each) are never held in memory.
+//
+// Record: { kitsu, anilist, imdb, tvdb, tvdbSeason, title, synonyms[], format, year, episodes }
+
+const MANAMI_URL = process.env.ANIME_DB_MANAMI_URL
+  || 'https://github.com/manami-project/anime-offline-database/releases/latest/download/anime-offline-database-minified.json';
+const MAPPING_URL = process.env.ANIME_DB_MAPPING_URL
+  || 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+const DB_PATH = process.env.ANIME_DB_PATH || path.join(__dirname, '..', '.cache', 'anime-db.json');
+const ENABLED = process.env.ANIME_DB !== 'off';
+
+const DOWNLOAD_TIMEOUT = 120000;
+const MAX_DOWNLOAD_SIZE = 150 * 1024 * 1024;
+// More than enough for the Nyaa names picked from them (MAX_NAMES in server.js)
+const MAX_SYNONYMS = 10;
+// Formats that count as seasons of a franchise (episode offsets, other-season keywords)
+const SEASON_FORMATS = ['TV', 'ONA'];
+
+const http = upstream.client('github');
+
+const SOURCE_PATTERNS = {
+  kitsu: /kitsu\.(?:io|app)\/anime\/(\d+)/,
+  mal: /myanimelist\.net\/anime\/(\d+)/,
+  anilist: /anilist\.co\/anime\/(\d+)/,
+  anidb: /anidb\.net\/anime\/(\d+)/,
+};
+
+// Latin-script synonyms only - the rest can't be searched on Nyaa
+const LATIN = /^[\x00-\x7F\u00C0-\u024F\u1E00-\u1EFF\s\-:!?.'&]+$/;
+
+let index = buildIndex([], null);
+
+function normalizeTitle(title) {
+  return (title || '').replace(/\(\d{4}\)/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function pushTo(map, key, record) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(record);
+}
+
+function buildIndex(records, updatedAt) {
+  const idx = {
+    records,
+    updatedAt,
+    kitsu: new Map(),
+    anilist: new Map(),
+    imdb: new Map(),
+    tvdb: new Map(),
+    title: new Map(),
+  };
+  for (const r of records) {
+    for (const site of ['kitsu', 'anilist']) if (r[site]) idx[site].set(r[site], r);
+    if (r.imdb) pushTo(idx.imdb, r.imdb, r);
+    if (r.tvdb) pushTo(idx.tvdb, r.tvdb, r);
+    pushTo(idx.title, normalizeTitle(r.title), r);
+  }
+  return idx;
+}
+
+function getSourceIds(sources = []) {
+  const ids = {};
+  for (const url of sources) {
+    for (const [site, re] of Object.entries(SOURCE_PATTERNS)) {
+      const m = url.match(re);
+      if (m && !ids[site]) ids[site] = parseInt(m[1]);
+    }
+  }
+  return ids;
+}
+
+// Fribb mapping entry → the IDs a manami entry is completed with
+function compactMapping(m) {
+  return {
+    kitsu: m.kitsu_id || null,
+    anilist: m.anilist_id || null,
+    imdb: typeof m.imdb_id === 'string' && m.imdb_id.startsWith('tt') ? m.imdb_id : null,
+    tvdb: m.thetvdb_id || null,
+    tvdbSeason: Number.isInteger(m.season?.tvdb) ? m.season.tvdb : null,
+  };
+}
+
+// manami entry + Fribb mapping → compact record, null without a Kitsu or AniList ID
+function toRecord(entry, byAnidb, byMal) {
+  const ids = getSourceIds(entry.sources);
+  if (!ids.kitsu && !ids.anilist) return null;
+  const map = (ids.anidb && byAnidb.get(ids.anidb)) || (ids.mal && byMal.get(ids.mal)) || {};
+  return {
+    kitsu: ids.kitsu || map.kitsu || null,
+    anilist: ids.anilist || map.anilist || null,
+    imdb: map.imdb || null,
+    tvdb: map.tvdb || null,
+    tvdbSeason: map.tvdbSeason ?? null,
+    title: entry.title,
+    synonyms: (entry.synonyms || []).filter(s => LATIN.test(s)).slice(0, MAX_SYNONYMS),
+    format: entry.type === 'UNKNOWN' ? null : entry.type,
+    year: entry.animeSeason?.year || null,
+    episodes: entry.episodes || null,
+  };
+}
+
+// Calls onItem for every object starting at the given nesting depth of a streamed JSON document
+// (1 = elements of a top-level array, 2 = of an array inside the top-level object);
+// only the object being read is buffered
+function parseJsonItems(stream, depth, onItem) {
+  return new Promise((resolve, reject) => {
+    let level = 0;
+    let inString = false;
+    let escaped = false;
+    let item = null;
+    let size = 0;
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_DOWNLOAD_SIZE) return stream.destroy(new Error('anime DB: download too large'));
+      let start = item !== null ? 0 : -1;
+      try {
+        for (let i = 0; i < chunk.length; i++) {
+          const c = chunk[i];
+          if (inString) {
+            if (escaped) escaped = false;
+            else if (c === '\\') escaped = true;
+            else if (c === '"') inString = false;
+          } else if (c === '"') {
+            inString = true;
+          } else if (c === '{' || c === '[') {
+            if (level === depth && c === '{') { item = ''; start = i; }
+            level++;
+          } else if (c === '}' || c === ']') {
+            level--;
+            if (level === depth && item !== null) {
+              const text = item + chunk.slice(start, i + 1);
+              item = null;
+              start = -1;
+              onItem(JSON.parse(text));
+            }
+          }
+        }
+      } catch (err) {
+        return stream.destroy(err);
+      }
+      if (item !== null) item += chunk.slice(start);
+    });
+    stream.on('end', () => (level === 0 ? resolve() : reject(new Error('anime DB: truncated download'))));
+    stream.on('error', reject);
+  });
+}
+
+async function download(url, depth, onItem) {
+  const res = await http.get(url, { timeout: DOWNLOAD_TIMEOUT, responseType: 'stream' });
+  await parseJsonItems(res.data, depth, onItem);
+}
+
+// Loads the saved file into the index → number of records (0 when there's no file yet)
+async function load() {
+  if (!ENABLED) return 0;
+  try {
+    const saved = JSON.parse(await fs.promises.readFile(DB_PATH, 'utf8'));
+    index = buildIndex(saved.records || [], saved.updatedAt || null);
+    console.log(`🗂️  Anime DB loaded: ${index.records.length} entries (${index.updatedAt})`);
+    return index.records.length;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Anime DB load error:', err.message);
+    return 0;
+  }
+}
+
+// Downloads both datasets one after the other (mapping first, manami entries are merged as they
+// arrive), saves (write + rename) and swaps the index - the previous one serves until then
+function refresh() {
+  if (!ENABLED) return Promise.resolve(0);
+  return upstream.coalesce('animedb:refresh', async () => {
+    const byAnidb = new Map();
+    const byMal = new Map();
+    await download(MAPPING_URL, 1, m => {
+      const map = compactMapping(m);
+      if (m.anidb_id) byAnidb.set(m.anidb_id, map);
+      if (m.mal_id) byMal.set(m.mal_id, map);
+    });
+
+    const records = [];
+    await download(MANAMI_URL, 2, entry => {
+      const record = toRecord(entry, byAnidb, byMal);
+      if (record) records.push(record);
+    });
+    if (!records.length) throw new Error('anime DB: no records in the downloaded datasets');
+
+    const updatedAt = new Date().toISOString();
+    await fs.promises.mkdir(path.dirname(DB_PATH), { recursive: true });
+    await fs.promises.writeFile(`${DB_PATH}.tmp`, JSON.stringify({ updatedAt, records }));
+    await fs.promises.rename(`${DB_PATH}.tmp`, DB_PATH);
+    index = buildIndex(records, updatedAt);
+    console.log(`🗂️  Anime DB refreshed: ${records.length} entries`);
+    return records.length;
+  });
+}
+
+// Saved file older than maxAge (or missing) → time for a refresh
+function isStale(maxAge) {
+  return !index.updatedAt || Date.now() - Date.parse(index.updatedAt) > maxAge;
+}
+
+// site: kitsu | anilist
+function findById(site, id) {
+  return index[site]?.get(parseInt(id)) || null;
+}
+
+// TV seasons of the record's show (same TVDB or IMDb ID) in order: TVDB season, then year
+function getFranchise(record) {
+  const related = (record.tvdb && index.tvdb.get(record.tvdb)) || (record.imdb && index.imdb.get(record.imdb)) || [record];
+  return related
+    .filter(r => SEASON_FORMATS.includes(r.format) && r.tvdbSeason !== 0)
+    .sort((a, b) => (a.tvdbSeason ?? 1) - (b.tvdbSeason ?? 1) || (a.year || 0) - (b.year || 0));
+}
+
+// Episodes of the franchise's earlier seasons (absolute numbering: S2E05 → 30 after a 25-ep S1)
+function getEpisodeOffset(record) {
+  const franchise = getFranchise(record);
+  const idx = franchise.indexOf(record);
+  return idx > 0 ? franchise.slice(0, idx).reduce((sum, r) => sum + (r.episodes || 0), 0) : 0;
+}
+
+// IMDb ID + Stremio season/episode → { record, partOffset }
+// A TVDB season split into several entries (split cours) is resolved by the episode number;
+// partOffset = episodes of the earlier parts in that season. season null → movie
+function findByImdb(imdbId, season = null, episode = null) {
+  const candidates = index.imdb.get(imdbId) || [];
+  if (!candidates.length) return null;
+
+  if (season == null) {
+    const movie = candidates.find(r => r.format === 'MOVIE') || (candidates.length === 1 ? candidates[0] : null);
+    return movie ? { record: movie, partOffset: 0 } : null;
+  }
+  // Season 0 has no reliable order of OVAs/specials - left to the online lookup
+  if (season === 0) return null;
+
+  const parts = candidates
+    .filter(r => r.format !== 'MOVIE' && (r.tvdbSeason ?? 1) === season)
+    .sort((a, b) => (a.year || 0) - (b.year || 0));
+  if (!parts.length) return null;
+
+  let partOffset = 0;
+  for (const r of parts) {
+    if (episode == null || !r.episodes || episode <= partOffset + r.episodes || r === parts[parts.length - 1]) {
+      return { record: r, partOffset };
+    }
+    partOffset += r.episodes;
+  }
+  return null;
+}
+
+// Start years of other entries with the same title (remakes, same-name films)
+function getOtherEditionYears(record) {
+  return [...new Set((index.title.get(normalizeTitle(record.title)) || [])
+    .filter(r => r !== record)
+    .map(r => r.year)
+    .filter(y => y && y !== record.year))];
+}
+
+function isLoaded() {
+  return index.records.length > 0;
+}
+
+function getStats() {
+  return { enabled: ENABLED, entries: index.records.length, updatedAt: index.updatedAt, path: DB_PATH };
+}
+
+module.exports = {
+  load,
+  refresh,
+  isStale,
+  isLoaded,
+  findById,
+  findByImdb,
+  getFranchise,
+  getEpisodeOffset,
+  getOtherEditionYears,
+  getStats,
+};
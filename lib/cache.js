@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable cache: namespaced TTL caches on top of a key/value store
+//
+// Stores hold raw entries { value, timestamp, ttl } and only need:
+//   get(key), set(key, entry), delete(key), touch(key), keys(), size, clear()
+// touch moves a key to the end of the LRU order; it is not a change worth persisting
+// memory - plain Map (default), lost on restart
+// file   - Map persisted as JSON per namespace (CACHE_DIR), survives restarts/redeploys with a disk
+// Caches created with persist: true are file-backed on either backend
+
+const FLUSH_DELAY = 5000;
+
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    get: key => map.get(key),
+    set: (key, entry) => map.set(key, entry),
+    delete: key => map.delete(key),
+    // LRU: re-inserting moves the key to the end of the Map's iteration order
+    touch: key => { const entry = map.get(key); if (entry) { map.delete(key); map.set(key, entry); } },
+    keys: () => [...map.keys()],
+    clear: () => map.clear(),
+    get size() { return map.size; },
+    flush() {},
+  };
+}
+
+function createFileStore(filePath) {
+  const store = createMemoryStore();
+  let timer = null;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [key, entry] of entries) store.set(key, entry);
+      console.log(`💾 Cache loaded: ${path.basename(filePath)} (${store.size})`);
+    }
+  } catch (err) {
+    console.error(`Cache load error (${filePath}):`, err.message);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const entries = store.keys().map(key => [key, store.get(key)]);
+      // Write + rename so a crash mid-write never leaves a truncated file
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(entries));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      console.error(`Cache write error (${filePath}):`, err.message);
+    }
+  }
+
+  // Batch writes: many sets in a burst → one file write; reads (touch) never schedule one
+  function scheduleFlush() {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY);
+  }
+
+  return {
+    ...store,
+    get size() { return store.size; },
+    set: (key, entry) => { store.set(key, entry); scheduleFlush(); },
+    delete: key => { const had = store.delete(key); if (had) scheduleFlush(); return had; },
+    clear: () => { store.clear(); scheduleFlush(); },
+    flush,
+  };
+}
+
+const BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', '.cache');
+
+function createStore(namespace, persist) {
+  if (BACKEND === 'file' || persist) return createFileStore(path.join(CACHE_DIR, `${namespace}.json`));
+  return createMemoryStore();
+}
+
+const caches = new Map();
+
+// namespace - store name (and file name for the file backend)
+// ttl       - default entry lifetime in ms
+// staleTtl  - extra time an expired entry may still be served while it's refreshed
+// maxSize   - entry limit, least recently used entries are evicted first
+// persist   - always file-backed, also on the memory backend (records that must survive restarts)
+function createCache(namespace, { ttl, staleTtl = 0, maxSize = 1000, persist = false } = {}) {
+  const store = createStore(namespace, persist);
+
+  function isExpired(entry, now, grace = 0) {
+    return now - entry.timestamp >= (entry.ttl ?? ttl) + grace;
+  }
+
+  const cache = {
+    namespace,
+    ttl,
+    // Lookup counters since start (exported as metrics)
+    stats: { hit: 0, stale: 0, miss: 0 },
+
+    // → { value, stale } or null; stale entries are only returned within staleTtl
+    getEntry(key) {
+      const entry = store.get(key);
+      if (!entry) { cache.stats.miss++; return null; }
+      const now = Date.now();
+      if (isExpired(entry, now, staleTtl)) { store.delete(key); cache.stats.miss++; return null; }
+      store.touch(key);
+      const stale = isExpired(entry, now);
+      cache.stats[stale ? 'stale' : 'hit']++;
+      return { value: entry.value, stale };
+    },
+
+    // Fresh value or undefined
+    get(key) {
+      const entry = cache.getEntry(key);
+      return entry && !entry.stale ? entry.value : undefined;
+    },
+
+    // entryTtl overrides the namespace TTL (e.g. short TTL for empty results)
+    set(key, value, entryTtl) {
+      store.delete(key);
+      store.set(key, { value, timestamp: Date.now(), ttl: entryTtl ?? ttl });
+      const excess = store.size - maxSize;
+      if (excess > 0) store.keys().slice(0, excess).forEach(k => store.delete(k));
+    },
+
+    delete: key => store.delete(key),
+    keys: () => store.keys(),
+    clear: () => store.clear(),
+    get size() { return store.size; },
+
+    // Drop everything past its TTL + stale window → number of removed entries
+    prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const key of store.keys()) {
+        const entry = store.get(key);
+        if (entry && isExpired(entry, now, staleTtl)) { store.delete(key); removed++; }
+      }
+      return removed;
+    },
+
+    flush: () => store.flush(),
+  };
+
+  caches.set(namespace, cache);
+  return cache;
+}
+
+function getAllCaches() {
+  return [...caches.values()];
+}
+
+// Persist pending writes before the process exits (Render sends SIGTERM on redeploy/sleep)
+function flushAll() {
+  for (const cache of caches.values()) cache.flush();
+}
+
+module.exports = {
+  BACKEND,
+  createCache,
+  getAllCaches,
+  flushAll,
+};
@@ -0,0 +1,62 @@
+const http = require('../upstream').client('alldebrid');
+
+// AllDebrid API v4 - https://docs.alldebrid.com
+const API = 'https://api.alldebrid.com/v4';
+const AGENT = 'anime-nyaa';
+
+function params(apiKey, extra = {}) {
+  return { agent: AGENT, apikey: apiKey, ...extra };
+}
+
+// AllDebrid answers 200 with { status: 'error', error: { code, message } }
+function unwrap(res) {
+  if (res.data?.status !== 'success') throw new Error(res.data?.error?.code || 'AllDebrid error');
+  return res.data.data;
+}
+
+// Files are only known once the magnet is ready (statusCode 4)
+async function getStatus(apiKey, handle) {
+  const res = await http.get(`${API}/magnet/status`, { params: params(apiKey, { id: handle.id }), timeout: 10000 });
+  const magnet = unwrap(res)?.magnets;
+  return Array.isArray(magnet) ? magnet[0] : magnet;
+}
+
+module.exports = {
+  id: 'alldebrid',
+  name: 'AllDebrid',
+  shortName: 'AD',
+
+  async addMagnet(apiKey, magnet) {
+    const res = await http.get(`${API}/magnet/upload`, { params: params(apiKey, { 'magnets[]': magnet }), timeout: 12000 });
+    const id = unwrap(res)?.magnets?.[0]?.id;
+    return id ? { id, magnet } : null;
+  },
+
+  async listFiles(apiKey, handle) {
+    const status = await getStatus(apiKey, handle);
+    if (status?.statusCode !== 4) return [];
+    return (status.links || []).map((l, i) => ({ id: i, path: l.filename, bytes: l.size }));
+  },
+
+  // AllDebrid downloads the whole magnet, links are unlocked per file
+  async selectFile() {},
+
+  async getFileLink(apiKey, handle, fileId) {
+    const status = await getStatus(apiKey, handle);
+    return status?.statusCode === 4 ? status.links?.[fileId]?.link || null : null;
+  },
+
+  async unrestrict(apiKey, link) {
+    const res = await http.get(`${API}/link/unlock`, { params: params(apiKey, { link }), timeout: 10000 });
+    return unwrap(res)?.link || null;
+  },
+
+  async checkCached(apiKey, hashes) {
+    const res = await http.get(`${API}/magnet/instant`, { params: params(apiKey, { 'magnets[]': hashes }), timeout: 6000 });
+    const result = new Map();
+    for (const m of unwrap(res)?.magnets || []) {
+      if (m.hash) result.set(m.hash.toLowerCase(), !!m.instant);
+    }
+    return result;
+  },
+};
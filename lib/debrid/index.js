@@ -0,0 +1,159 @@
+const realdebrid = require('./realdebrid');
+const alldebrid = require('./alldebrid');
+const premiumize = require('./premiumize');
+const torbox = require('./torbox');
+const { parseReleaseName } = require('../parser');
+
+// Every provider implements the same interface; a torrent "handle" is whatever
+// addMagnet returns and is passed back to the other calls:
+//   addMagnet(apiKey, magnet)              → handle | null
+//   listFiles(apiKey, handle)              → [{ id, path, bytes }] ([] while not known yet)
+//   selectFile(apiKey, handle, fileId)
+//   getFileLink(apiKey, handle, fileId)    → hoster link | null while downloading
+//   unrestrict(apiKey, link)               → direct URL
+//   checkCached(apiKey, hashes[])          → Map(hash → true/false)
+// Optional (RealDebrid):
+//   listTorrents(apiKey)                   → [{ id, hash, filename, status, added }]
+//   deleteTorrent(apiKey, id)
+//   handle.added                           → ids of torrents the call chain added to the account
+//   handle.status                          → { state, progress, speed, seeders } of the last poll
+// Errors with err.debridError (err.code e.g. too_many_active_downloads) are account/torrent problems
+// worth showing to the user; resolveStream rethrows them instead of returning null
+const PROVIDERS = { realdebrid, alldebrid, premiumize, torbox };
+const DEFAULT_PROVIDER = 'realdebrid';
+
+function getProvider(id) {
+  return PROVIDERS[id] || null;
+}
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|m4v|webm|ts|wmv|mov)$/i;
+// Extras that ship inside batch packs and must never be picked as an episode
+const EXTRA_FILE_PATTERN = /\b(sample|trailer|ncop|nced|nc ?op|nc ?ed|creditless|preview|pv|menu|extras?|bonus|specials?|sp ?\d+|ova|oad|cm ?\d*)\b/i;
+
+// Episode number of a single file inside a torrent
+// "Show S01E07.mkv"                        → { season: 1, episode: 7 }
+// "[SubsPlease] Show - 07 (1080p) [CRC].mkv" → { season: null, episode: 7 }
+// "Show SP02.mkv" / "Show OVA 2.mkv"         → { season: 0, episode: 2 }
+function parseFileEpisode(filePath) {
+  const { season, episode, special } = parseReleaseName(filePath);
+  if (special?.number != null) return { season: 0, episode: special.number };
+  return { season, episode };
+}
+
+// Pick the file to stream from a provider file list ({ id, path, bytes }[])
+// target = { season, episode, absoluteEpisode }; episode == null → movie, take the largest video
+// Season 0 (specials) looks among the extras instead of skipping them
+function pickEpisodeFile(files, target = {}) {
+  const { season = null, episode = null, absoluteEpisode = null } = target;
+  const videos = files.filter(f => VIDEO_EXTENSIONS.test(f.path || ''));
+  const isExtra = f => EXTRA_FILE_PATTERN.test((f.path || '').replace(/[._]/g, ' '));
+  const candidates = videos.filter(f => (season === 0 ? isExtra(f) : !isExtra(f)));
+  const pool = candidates.length ? candidates : videos;
+  if (!pool.length) return null;
+
+  const bySize = (a, b) => (b.bytes || 0) - (a.bytes || 0);
+
+  if (episode == null) return [...pool].sort(bySize)[0];
+
+  const parsed = pool.map(f => ({ f, ...parseFileEpisode(f.path || '') }));
+  // Multi-season packs numbered absolutely ("Show - 30") win over a relative "05" from S1
+  const absMatches = absoluteEpisode != null ? parsed.filter(p => p.episode === absoluteEpisode && p.season == null) : [];
+  const epMatches = absMatches.length ? absMatches : parsed.filter(p => p.episode === episode);
+  // Prefer files whose explicit SxxEyy agrees with the requested season
+  const seasonMatches = epMatches.filter(p => p.season == null || season == null || p.season === season);
+  const matches = seasonMatches.length ? seasonMatches : epMatches;
+  if (matches.length) return matches.map(p => p.f).sort(bySize)[0];
+
+  // Single-episode torrent with unusual naming → that's the one
+  if (pool.length === 1) return pool[0];
+
+  console.log(`Debrid: ⚠️  No file for ep${episode} among ${pool.length} videos`);
+  return null;
+}
+
+const POLL_ATTEMPTS = 10;
+const POLL_INTERVAL = 2000;
+// Providers that report download progress (handle.status) are polled for as long as the torrent
+// is downloading - up to DOWNLOAD_TIMEOUT, or until the progress hasn't moved for STALL_TIMEOUT
+const DOWNLOAD_POLL_INTERVAL = 5000;
+const DOWNLOAD_TIMEOUT = 30 * 60 * 1000;
+const STALL_TIMEOUT = 5 * 60 * 1000;
+const ACTIVE_STATES = ['magnet_conversion', 'queued', 'downloading', 'compressing', 'uploading'];
+
+function debridError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.debridError = true;
+  return err;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// magnet → direct URL of the requested episode (or the movie), null on failure
+// hooks.onAdded(torrentId) - called for every torrent added to the account (cleanup tracking)
+// hooks.onProgress(status) - { state, progress, speed, seeders, file } while the conversion runs
+async function resolveStream(provider, apiKey, magnet, target = {}, hooks = {}) {
+  let handle = null;
+  const started = Date.now();
+  let lastProgress = null;
+  let progressAt = started;
+  try {
+    handle = await provider.addMagnet(apiKey, magnet);
+    if (!handle) return null;
+
+    let file = null;
+    for (let i = 0; ; i++) {
+      if (!file) {
+        const files = await provider.listFiles(apiKey, handle);
+        if (files.length) {
+          file = pickEpisodeFile(files, target);
+          if (!file) throw debridError('no_matching_file', `no file for episode ${target.episode} in the torrent`);
+          console.log(`${provider.shortName}: 🎯 Selected file ${file.id}: ${file.path}`);
+          await provider.selectFile(apiKey, handle, file.id);
+          hooks.onProgress?.({ file: file.path });
+        }
+      }
+
+      if (file) {
+        const link = await provider.getFileLink(apiKey, handle, file.id);
+        if (link) {
+          const url = await provider.unrestrict(apiKey, link);
+          if (url) return url;
+        }
+      }
+
+      const status = handle.status;
+      if (status) hooks.onProgress?.(status);
+      if (!status || !ACTIVE_STATES.includes(status.state)) {
+        if (i >= POLL_ATTEMPTS - 1) return null;
+        await sleep(POLL_INTERVAL);
+        continue;
+      }
+
+      // Still downloading on the provider's side - keep waiting while it moves
+      if (status.progress !== lastProgress) { lastProgress = status.progress; progressAt = Date.now(); }
+      if (Date.now() - progressAt > STALL_TIMEOUT) {
+        throw debridError('download_stalled', `download stuck at ${status.progress ?? 0}%`);
+      }
+      if (Date.now() - started > DOWNLOAD_TIMEOUT) {
+        throw debridError('download_timeout', `download not finished after ${DOWNLOAD_TIMEOUT / 60000} minutes`);
+      }
+      await sleep(i < POLL_ATTEMPTS ? POLL_INTERVAL : DOWNLOAD_POLL_INTERVAL);
+    }
+  } catch (err) {
+    console.error(`${provider.name} error:`, err.response?.status, err.response?.data?.error || err.message);
+    if (err.debridError) throw err;
+    return null;
+  } finally {
+    for (const id of handle?.added || []) hooks.onAdded?.(id);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  parseFileEpisode,
+  pickEpisodeFile,
+  resolveStream,
+};
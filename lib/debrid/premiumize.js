@@ -0,0 +1,61 @@
+const http = require('../upstream').client('premiumize');
+
+// Premiumize.me API - https://app.swaggerhub.com/apis-docs/premiumize.me/api
+const API = 'https://www.premiumize.me/api';
+
+function unwrap(res) {
+  if (res.data?.status !== 'success') throw new Error(res.data?.message || 'Premiumize error');
+  return res.data;
+}
+
+// directdl lists the files of anything already in the Premiumize cache (incl. finished transfers)
+async function directDownload(apiKey, magnet) {
+  const res = await http.post(`${API}/transfer/directdl`,
+    new URLSearchParams({ apikey: apiKey, src: magnet }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 12000 });
+  return res.data?.status === 'success' ? res.data.content || [] : [];
+}
+
+module.exports = {
+  id: 'premiumize',
+  name: 'Premiumize',
+  shortName: 'PM',
+
+  async addMagnet(apiKey, magnet) {
+    const content = await directDownload(apiKey, magnet);
+    if (content.length) return { id: null, magnet, content };
+
+    const res = await http.post(`${API}/transfer/create`,
+      new URLSearchParams({ apikey: apiKey, src: magnet }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 12000 });
+    return { id: unwrap(res).id, magnet, content: null };
+  },
+
+  async listFiles(apiKey, handle) {
+    if (!handle.content) {
+      const content = await directDownload(apiKey, handle.magnet);
+      if (!content.length) return [];
+      handle.content = content;
+    }
+    return handle.content.map((f, i) => ({ id: i, path: f.path, bytes: f.size }));
+  },
+
+  // Premiumize caches the whole torrent
+  async selectFile() {},
+
+  async getFileLink(apiKey, handle, fileId) {
+    const file = handle.content?.[fileId];
+    return file?.stream_link || file?.link || null;
+  },
+
+  // directdl links are already direct
+  async unrestrict(apiKey, link) {
+    return link;
+  },
+
+  async checkCached(apiKey, hashes) {
+    const res = await http.get(`${API}/cache/check`, { params: { apikey: apiKey, 'items[]': hashes }, timeout: 6000 });
+    const flags = unwrap(res).response || [];
+    return new Map(hashes.map((hash, i) => [hash, flags[i] === true]));
+  },
+};
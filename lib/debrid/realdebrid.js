@@ -0,0 +1,162 @@
+const http = require('../upstream').client('realdebrid');
+
+// RealDebrid REST API - https://api.real-debrid.com
+const API = 'https://api.real-debrid.com/rest/1.0';
+
+// Torrents already in the account are reused by info-hash instead of being added again.
+// Copies the addon adds itself are reported in handle.added (tracked for cleanup in server.js).
+const TORRENT_LIST_LIMIT = 2500;
+const FAILED_STATUSES = ['magnet_error', 'error', 'virus', 'dead'];
+
+// RealDebrid error_code → stable code the addon shows a message for
+const ERROR_CODES = {
+  8: 'bad_token',
+  9: 'permission_denied',
+  20: 'premium_only',
+  21: 'too_many_active_downloads',
+  29: 'torrent_too_big',
+  30: 'torrent_file_invalid',
+  34: 'too_many_requests',
+  35: 'infringing_file',
+  36: 'fair_usage_limit',
+};
+
+function headers(apiKey) {
+  return { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/x-www-form-urlencoded' };
+}
+
+// err.code + err.debridError: a known account/torrent problem, shown to the user instead of retried
+function debridError(code, message) {
+  const err = new Error(`RealDebrid: ${message || code}`);
+  err.code = code;
+  err.debridError = true;
+  return err;
+}
+
+// Wraps an API call: known RealDebrid errors become debridErrors, the rest is rethrown as is
+async function call(request) {
+  try {
+    return await request();
+  } catch (err) {
+    const code = ERROR_CODES[err.response?.data?.error_code];
+    throw code ? debridError(code, err.response.data.error) : err;
+  }
+}
+
+function getHash(magnet) {
+  return magnet.match(/btih:([a-zA-Z0-9]+)/i)?.[1]?.toLowerCase() || null;
+}
+
+async function getInfo(apiKey, id) {
+  const res = await call(() => http.get(`${API}/torrents/info/${id}`, { headers: headers(apiKey), timeout: 10000 }));
+  const info = res.data || {};
+  if (FAILED_STATUSES.includes(info.status)) throw debridError(`torrent_${info.status}`, `torrent ${info.status}`);
+  return info;
+}
+
+// Download state for progress reporting (speed in bytes/s)
+function trackStatus(handle, info) {
+  handle.status = { state: info.status, progress: info.progress ?? null, speed: info.speed ?? null, seeders: info.seeders ?? null };
+}
+
+async function addNew(apiKey, magnet) {
+  const res = await call(() => http.post(`${API}/torrents/addMagnet`,
+    `magnet=${encodeURIComponent(magnet)}`, { headers: headers(apiKey), timeout: 12000 }));
+  return res.data?.id || null;
+}
+
+// → [{ id, hash, filename, status, added }], newest first
+async function listTorrents(apiKey) {
+  const res = await call(() => http.get(`${API}/torrents`,
+    { headers: headers(apiKey), params: { limit: TORRENT_LIST_LIMIT }, timeout: 10000 }));
+  return (res.data || []).map(t => ({
+    id: t.id, hash: (t.hash || '').toLowerCase(), filename: t.filename, status: t.status, added: t.added,
+  }));
+}
+
+async function select(apiKey, id, fileId) {
+  await call(() => http.post(`${API}/torrents/selectFiles/${id}`,
+    `files=${fileId}`, { headers: headers(apiKey), timeout: 10000 }));
+}
+
+module.exports = {
+  id: 'realdebrid',
+  name: 'RealDebrid',
+  shortName: 'RD',
+
+  // Existing copies of the torrent → handle.candidates; only a missing torrent is added
+  async addMagnet(apiKey, magnet) {
+    const hash = getHash(magnet);
+    const existing = (await listTorrents(apiKey).catch(() => []))
+      .filter(t => t.hash === hash && !FAILED_STATUSES.includes(t.status));
+    if (existing.length) {
+      console.log(`RD: ♻️  Reusing torrent ${existing[0].id} (${existing.length} in account)`);
+      return { id: existing[0].id, magnet, candidates: existing.map(t => t.id), added: [] };
+    }
+    const id = await addNew(apiKey, magnet);
+    return id ? { id, magnet, candidates: [], added: [id] } : null;
+  },
+
+  async listFiles(apiKey, handle) {
+    const info = await getInfo(apiKey, handle.id);
+    trackStatus(handle, info);
+    return (info.files || []).map(f => ({ id: f.id, path: f.path, bytes: f.bytes }));
+  },
+
+  // Only the requested file is selected - RD exposes no link until every selected file is
+  // downloaded, so an uncached batch would otherwise make one episode wait for the whole season.
+  // Files can only be selected once per torrent: a reused copy must already have this file
+  // selected, otherwise one copy per file is added (later plays of that episode reuse it)
+  async selectFile(apiKey, handle, fileId) {
+    const info = await getInfo(apiKey, handle.id);
+    if (info.status === 'waiting_files_selection') return select(apiKey, handle.id, fileId);
+
+    for (const id of handle.candidates) {
+      const copy = id === handle.id ? info : await getInfo(apiKey, id).catch(() => null);
+      if (copy?.files?.some(f => f.id === fileId && f.selected)) { handle.id = id; return; }
+    }
+
+    const id = await addNew(apiKey, handle.magnet);
+    if (!id) throw new Error('RealDebrid: addMagnet returned no id');
+    handle.id = id;
+    handle.added.push(id);
+    await select(apiKey, id, fileId);
+  },
+
+  // links[] follows the order of the selected files; null while the selection isn't applied yet,
+  // another file selected means this copy can never serve the episode
+  async getFileLink(apiKey, handle, fileId) {
+    const info = await getInfo(apiKey, handle.id);
+    trackStatus(handle, info);
+    const selected = (info.files || []).filter(f => f.selected);
+    if (!selected.length) return null;
+    const index = selected.findIndex(f => f.id === fileId);
+    if (index < 0) throw debridError('no_matching_file', `file ${fileId} is not selected in torrent ${handle.id}`);
+    return info.links?.[index] || null;
+  },
+
+  async unrestrict(apiKey, link) {
+    const res = await call(() => http.post(`${API}/unrestrict/link`,
+      `link=${encodeURIComponent(link)}`, { headers: headers(apiKey), timeout: 10000 }));
+    return res.data?.download || null;
+  },
+
+  // { <hash>: { rd: [ { <fileId>: { filename, filesize } } ] } } - empty rd / [] means not cached
+  async checkCached(apiKey, hashes) {
+    const res = await http.get(`${API}/torrents/instantAvailability/${hashes.join('/')}`,
+      { headers: headers(apiKey), timeout: 6000 });
+    const data = res.data || {};
+    const result = new Map();
+    for (const hash of hashes) {
+      const entry = data[hash] || data[hash.toUpperCase()];
+      result.set(hash, Array.isArray(entry?.rd) && entry.rd.length > 0);
+    }
+    return result;
+  },
+
+  listTorrents,
+
+  async deleteTorrent(apiKey, id) {
+    await call(() => http.delete(`${API}/torrents/delete/${id}`, { headers: headers(apiKey), timeout: 10000 }));
+  },
+};
@@ -0,0 +1,61 @@
+const http = require('../upstream').client('torbox');
+
+// TorBox API v1 - https://api-docs.torbox.app
+const API = 'https://api.torbox.app/v1/api';
+
+function headers(apiKey) {
+  return { 'Authorization': `Bearer ${apiKey}` };
+}
+
+function unwrap(res) {
+  if (!res.data?.success) throw new Error(res.data?.error || res.data?.detail || 'TorBox error');
+  return res.data.data;
+}
+
+async function getTorrent(apiKey, handle) {
+  const res = await http.get(`${API}/torrents/mylist`,
+    { headers: headers(apiKey), params: { id: handle.id, bypass_cache: true }, timeout: 10000 });
+  return unwrap(res);
+}
+
+module.exports = {
+  id: 'torbox',
+  name: 'TorBox',
+  shortName: 'TB',
+
+  async addMagnet(apiKey, magnet) {
+    const form = new FormData();
+    form.append('magnet', magnet);
+    const res = await http.post(`${API}/torrents/createtorrent`, form, { headers: headers(apiKey), timeout: 12000 });
+    const id = unwrap(res)?.torrent_id;
+    return id ? { id, magnet } : null;
+  },
+
+  async listFiles(apiKey, handle) {
+    const torrent = await getTorrent(apiKey, handle);
+    return (torrent?.files || []).map(f => ({ id: f.id, path: f.name, bytes: f.size }));
+  },
+
+  // TorBox downloads the whole torrent, links are requested per file
+  async selectFile() {},
+
+  async getFileLink(apiKey, handle, fileId) {
+    const torrent = await getTorrent(apiKey, handle);
+    if (!torrent?.download_finished) return null;
+    const res = await http.get(`${API}/torrents/requestdl`,
+      { params: { token: apiKey, torrent_id: handle.id, file_id: fileId }, timeout: 10000 });
+    return unwrap(res) || null;
+  },
+
+  // requestdl already returns a direct link
+  async unrestrict(apiKey, link) {
+    return link;
+  },
+
+  async checkCached(apiKey, hashes) {
+    const res = await http.get(`${API}/torrents/checkcached`,
+      { headers: headers(apiKey), params: { hash: hashes.join(','), format: 'list' }, timeout: 6000 });
+    const cachedHashes = new Set((unwrap(res) || []).map(t => t.hash?.toLowerCase()));
+    return new Map(hashes.map(hash => [hash, cachedHashes.has(hash)]));
+  },
+};
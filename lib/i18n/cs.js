@@ -0,0 +1,107 @@
+// Czech texts (default language)
+module.exports = {
+  description: 'Streamuje anime z Nyaa.si přes RealDebrid, AllDebrid, Premiumize nebo TorBox. Funguje s Cinemeta/Kitsu katalogy.',
+  notFoundName: '❌ Nenalezeno',
+  notFoundTitle: 'Nepodařilo se najít název anime',
+  noTorrentsName: '⏳ Nenalezeno',
+  noTorrentsTitle: (episode, name) => `Ep ${episode} není na Nyaa.si\n${name}`,
+  catalogAiring: 'Vysílá se tuto sezónu',
+  catalogLatest: 'Nejnovější na Nyaa',
+  catalogSearch: 'Anime Nyaa',
+  catalogWatching: 'Pokračovat ve sledování',
+  latestEpisode: (episode, group) => `Nejnovější díl ${episode} · ${group}`,
+  nextEpisode: (episode, total) => `▶ Další díl ${episode}${total ? ` z ${total}` : ''}`,
+  nextEpisodeNotAired: episode => `⏳ Díl ${episode} ještě nevyšel`,
+  episodeTitle: number => `Díl ${number}`,
+  seeders: 'seederů',
+  noApiKey: 'Není nastaven API klíč',
+  invalidLink: 'Neplatný odkaz na stream',
+  debridFailed: 'Převod se nezdařil, zkus jiný stream',
+  debridProgress: (progress, speed, seeders) => `⬇️ Stahuje se ${progress}%${speed} · 👥 ${seeders ?? '?'}`,
+  debridErrors: {
+    no_matching_file: 'V torrentu není soubor s tímto dílem',
+    download_stalled: 'Stahování se zaseklo – torrent asi nemá seedery',
+    download_timeout: 'Stahování trvá příliš dlouho',
+    bad_token: 'Neplatný API klíč',
+    permission_denied: 'Účet nemá oprávnění',
+    premium_only: 'Vyžaduje prémiový účet',
+    too_many_active_downloads: 'Příliš mnoho aktivních stahování – smaž některé torrenty na účtu',
+    torrent_too_big: 'Torrent je příliš velký',
+    torrent_file_invalid: 'Neplatný torrent',
+    too_many_requests: 'Příliš mnoho požadavků, zkus to za chvíli',
+    infringing_file: 'Soubor byl zablokován kvůli autorským právům',
+    fair_usage_limit: 'Překročen limit férového využití',
+    torrent_magnet_error: 'Magnet se nepodařilo načíst',
+    torrent_error: 'Torrent skončil chybou',
+    torrent_virus: 'Torrent obsahuje virus',
+    torrent_dead: 'Torrent nemá žádné seedery',
+  },
+  // Install/configure page (public/index.html): data-i18n keys, *Html values may contain <br />
+  page: {
+    subtitleHtml: 'Vyhledávání anime přes AniList · Torrenty z Nyaa.si<br />Přehrávání přes debrid službu nebo magnet',
+    sectionConfig: '// Konfigurace',
+    debrid: 'Debrid služba',
+    debridKey: 'Debrid API Klíč',
+    debridKeyPlaceholder: 'Vlož svůj API klíč...',
+    debridKeyKept: '•••••••• (uložený klíč zůstane)',
+    noDebrid: 'Nemám debrid – použít pouze magnety (méně pohodlné)',
+    resolutions: 'Preferovaná rozlišení (v pořadí)',
+    preferredGroups: 'Preferované skupiny (v pořadí)',
+    blockedGroups: 'Blokované skupiny',
+    blockedGroupsPlaceholder: 'např. HorribleRips',
+    maxResults: 'Max. výsledků',
+    language: 'Jazyk doplňku',
+    includeBatches: 'Zobrazovat i balíky celé série (batch / complete)',
+    hideUncached: 'Skrýt torrenty, které nejsou v cache debrid služby (⏳)',
+    prefetchEpisodes: 'Předem připravit další díly na debridu (0 = vypnuto)',
+    debridCleanupDays: 'Mazat torrenty přidané doplňkem z RealDebridu po dnech (0 = nemazat)',
+    sectionSources: '// Zdroje torrentů',
+    tokyotosho: 'TokyoTosho (bez počtu seederů)',
+    nyaaMirrors: 'Nyaa domény / mirrory (v pořadí)',
+    trackers: 'Další trackery pro magnety (bez debridu)',
+    sectionSorting: '// Řazení streamů',
+    videoCodecs: 'Preferované kodeky (v pořadí)',
+    strictCodecs: 'Zobrazit pouze preferované kodeky',
+    minSeeders: 'Min. seederů',
+    maxSizeGB: 'Max. velikost epizody (GB)',
+    minSizeGB: 'Min. velikost epizody (GB)',
+    noLimit: 'bez limitu',
+    preferDualAudio: 'Preferovat Dual Audio',
+    audioLanguages: 'Jazyky zvuku (v pořadí)',
+    subtitleLanguages: 'Jazyky titulků (none = RAW)',
+    strictLanguages: 'Zobrazit pouze preferované jazyky',
+    preferBD: 'Preferovat BD před WEB',
+    preferNewestVersion: 'Preferovat nejnovější verzi (v2, v3)',
+    debug: 'Ladění – zobrazit důvody pořadí v popisu streamu',
+    sectionDisplay: '// Zobrazení streamů',
+    streamFormat: 'Vzhled streamů',
+    formatDefault: 'Výchozí – celý název torrentu',
+    formatCompact: 'Kompaktní – skupina, kvalita, velikost',
+    formatDetailed: 'Podrobný – všechny rozpoznané údaje',
+    formatTv: 'Pro TV – krátké řádky bez názvu torrentu',
+    streamNameTemplate: 'Vlastní šablona názvu (prázdné = podle vzhledu)',
+    streamTitleTemplate: 'Vlastní šablona popisu (prázdné = podle vzhledu)',
+    templateHintHtml: '{pole}, {pole|náhrada}, [volitelná část] – pole: name, title, group, resolution, codec, audioCodec, media, version, season, episode, seasonHint, batch, size, seeders, seedersLabel, source, languages, provider, providerShort, cache, icon',
+    sectionAnilist: '// AniList účet',
+    anilistToken: 'AniList token (katalog Pokračovat ve sledování)',
+    anilistTokenPlaceholder: 'Vlož AniList access token...',
+    anilistTokenKept: '•••••••• (uložený token zůstane)',
+    anilistTokenLink: '→ Získat token na AniList',
+    anilistSync: 'Po spuštění dílu aktualizovat postup na AniList (jen přes debrid)',
+    anilistUnlink: 'Odpojit uložený AniList účet',
+    generate: 'Vygenerovat instalační odkaz',
+    ready: 'Připraveno k instalaci',
+    openInStremio: '▶ Otevřít ve Stremio',
+    copyUrl: 'Kopírovat URL',
+    howToTitle: '// Jak na to',
+    howToHtml: '1. Vyber debrid a vlož klíč, nebo zaškrtni bez debridu<br />2. Uprav preference a klikni "Vygenerovat"<br />3. Otevři ve Stremio<br />4. Hledej anime v katalogu',
+    keyTitle: '// RealDebrid klíč',
+    keyHtml: 'Najdeš na real-debrid.com<br />→ Account → API Token<br /><br />Klíč je součástí URL,<br />nikomu ho nesdílej.',
+    sourcesTitle: '// Zdroje',
+    sourcesHtml: 'Metadata: AniList GraphQL<br />Torrenty: Nyaa.si (1_2), AnimeTosho, TokyoTosho<br />Přehrávání: RD / AD / PM / TorBox<br />Cache: 10–30 min',
+    contentTitle: '// Typy obsahu',
+    contentHtml: '📺 Series – epizodní anime<br />🎬 Movies – anime filmy<br />Vyhledávání přes AniList<br />Romaji + English názvy',
+    saveError: 'Chyba při ukládání konfigurace',
+    copied: 'URL zkopírována do schránky',
+  },
+};
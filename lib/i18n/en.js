@@ -0,0 +1,106 @@
+// English texts - same keys as cs.js
+module.exports = {
+  description: 'Streams anime from Nyaa.si via RealDebrid, AllDebrid, Premiumize or TorBox. Works with Cinemeta/Kitsu catalogs.',
+  notFoundName: '❌ Not found',
+  notFoundTitle: 'Could not resolve the anime title',
+  noTorrentsName: '⏳ Not found',
+  noTorrentsTitle: (episode, name) => `Ep ${episode} is not on Nyaa.si\n${name}`,
+  catalogAiring: 'Airing this season',
+  catalogLatest: 'Latest on Nyaa',
+  catalogSearch: 'Anime Nyaa',
+  catalogWatching: 'Continue watching',
+  latestEpisode: (episode, group) => `Latest episode ${episode} · ${group}`,
+  nextEpisode: (episode, total) => `▶ Next episode ${episode}${total ? ` of ${total}` : ''}`,
+  nextEpisodeNotAired: episode => `⏳ Episode ${episode} hasn't aired yet`,
+  episodeTitle: number => `Episode ${number}`,
+  seeders: 'seeders',
+  noApiKey: 'No API key configured',
+  invalidLink: 'Invalid stream link',
+  debridFailed: 'Conversion failed, try another stream',
+  debridProgress: (progress, speed, seeders) => `⬇️ Downloading ${progress}%${speed} · 👥 ${seeders ?? '?'}`,
+  debridErrors: {
+    no_matching_file: 'The torrent has no file for this episode',
+    download_stalled: 'Download stalled - the torrent probably has no seeders',
+    download_timeout: 'Download is taking too long',
+    bad_token: 'Invalid API key',
+    permission_denied: 'Permission denied for this account',
+    premium_only: 'Requires a premium account',
+    too_many_active_downloads: 'Too many active downloads - remove some torrents from the account',
+    torrent_too_big: 'Torrent is too big',
+    torrent_file_invalid: 'Invalid torrent',
+    too_many_requests: 'Too many requests, try again in a moment',
+    infringing_file: 'File was blocked as infringing',
+    fair_usage_limit: 'Fair usage limit reached',
+    torrent_magnet_error: 'Magnet could not be loaded',
+    torrent_error: 'Torrent failed',
+    torrent_virus: 'Torrent contains a virus',
+    torrent_dead: 'Torrent has no seeders',
+  },
+  page: {
+    subtitleHtml: 'Anime search via AniList · Torrents from Nyaa.si<br />Playback through a debrid service or magnet',
+    sectionConfig: '// Configuration',
+    debrid: 'Debrid service',
+    debridKey: 'Debrid API key',
+    debridKeyPlaceholder: 'Paste your API key...',
+    debridKeyKept: '•••••••• (the saved key is kept)',
+    noDebrid: 'No debrid – magnets only (less convenient)',
+    resolutions: 'Preferred resolutions (in order)',
+    preferredGroups: 'Preferred groups (in order)',
+    blockedGroups: 'Blocked groups',
+    blockedGroupsPlaceholder: 'e.g. HorribleRips',
+    maxResults: 'Max. results',
+    language: 'Addon language',
+    includeBatches: 'Also show whole-season packs (batch / complete)',
+    hideUncached: 'Hide torrents not cached on the debrid service (⏳)',
+    prefetchEpisodes: 'Prepare next episodes on debrid in advance (0 = off)',
+    debridCleanupDays: 'Delete torrents the addon added to RealDebrid after days (0 = never)',
+    sectionSources: '// Torrent sources',
+    tokyotosho: 'TokyoTosho (no seeder counts)',
+    nyaaMirrors: 'Nyaa domains / mirrors (in order)',
+    trackers: 'Extra trackers for magnets (without debrid)',
+    sectionSorting: '// Stream sorting',
+    videoCodecs: 'Preferred codecs (in order)',
+    strictCodecs: 'Show preferred codecs only',
+    minSeeders: 'Min. seeders',
+    maxSizeGB: 'Max. episode size (GB)',
+    minSizeGB: 'Min. episode size (GB)',
+    noLimit: 'no limit',
+    preferDualAudio: 'Prefer Dual Audio',
+    audioLanguages: 'Audio languages (in order)',
+    subtitleLanguages: 'Subtitle languages (none = RAW)',
+    strictLanguages: 'Show preferred languages only',
+    preferBD: 'Prefer BD over WEB',
+    preferNewestVersion: 'Prefer the newest version (v2, v3)',
+    debug: 'Debug – show ranking reasons in stream descriptions',
+    sectionDisplay: '// Stream display',
+    streamFormat: 'Stream look',
+    formatDefault: 'Default – full torrent name',
+    formatCompact: 'Compact – group, quality, size',
+    formatDetailed: 'Detailed – every parsed field',
+    formatTv: 'TV-friendly – short lines without the torrent name',
+    streamNameTemplate: 'Custom name template (empty = from the look)',
+    streamTitleTemplate: 'Custom description template (empty = from the look)',
+    templateHintHtml: '{field}, {field|fallback}, [optional part] – fields: name, title, group, resolution, codec, audioCodec, media, version, season, episode, seasonHint, batch, size, seeders, seedersLabel, source, languages, provider, providerShort, cache, icon',
+    sectionAnilist: '// AniList account',
+    anilistToken: 'AniList token (Continue watching catalog)',
+    anilistTokenPlaceholder: 'Paste your AniList access token...',
+    anilistTokenKept: '•••••••• (the saved token is kept)',
+    anilistTokenLink: '→ Get a token on AniList',
+    anilistSync: 'Update AniList progress when an episode starts (debrid only)',
+    anilistUnlink: 'Unlink the saved AniList account',
+    generate: 'Generate install link',
+    ready: 'Ready to install',
+    openInStremio: '▶ Open in Stremio',
+    copyUrl: 'Copy URL',
+    howToTitle: '// How to',
+    howToHtml: '1. Pick a debrid service and paste the key, or tick no debrid<br />2. Adjust preferences and click "Generate"<br />3. Open in Stremio<br />4. Search anime in the catalog',
+    keyTitle: '// RealDebrid key',
+    keyHtml: 'Found on real-debrid.com<br />→ Account → API Token<br /><br />The key is part of the URL,<br />don\'t share it with anyone.',
+    sourcesTitle: '// Sources',
+    sourcesHtml: 'Metadata: AniList GraphQL<br />Torrents: Nyaa.si (1_2), AnimeTosho, TokyoTosho<br />Playback: RD / AD / PM / TorBox<br />Cache: 10–30 min',
+    contentTitle: '// Content types',
+    contentHtml: '📺 Series – episodic anime<br />🎬 Movies – anime films<br />Search via AniList<br />Romaji + English titles',
+    saveError: 'Saving the configuration failed',
+    copied: 'URL copied to clipboard',
+  },
+};
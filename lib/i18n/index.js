@@ -0,0 +1,40 @@
+const cs = require('./cs');
+const en = require('./en');
+
+// Message catalogs for everything the user sees: stream names/titles, error streams,
+// manifest/catalog names and the configure page (catalog.page).
+// Add a language by adding a catalog with the same keys as cs.js.
+
+const CATALOGS = { cs, en };
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'cs';
+// Browser languages without a catalog of their own
+const ALIASES = { sk: 'cs' };
+// Accept-Language with no known language at all → English rather than Czech
+const FALLBACK_LANGUAGE = 'en';
+
+function getMessages(language) {
+  return CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+}
+
+// "en-US,en;q=0.9,cs;q=0.8" → best supported language; DEFAULT_LANGUAGE without a header
+function negotiate(header) {
+  if (!header) return DEFAULT_LANGUAGE;
+  const ranked = String(header).split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)?.[1]).find(Boolean);
+      const base = tag.toLowerCase().split('-')[0];
+      return { language: ALIASES[base] || base, q: q == null ? 1 : parseFloat(q) };
+    })
+    .filter(l => l.q > 0 && LANGUAGES.includes(l.language))
+    .sort((a, b) => b.q - a.q);
+  return ranked[0]?.language || FALLBACK_LANGUAGE;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getMessages,
+  negotiate,
+};
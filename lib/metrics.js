@@ -0,0 +1,119 @@
+// Minimal Prometheus registry: counters, histograms and scrape-time gauges → text exposition format
+//
+// Metric names are fixed at definition; labels are plain objects ({ route: '/x', status: 200 }).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(entries) {
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help) {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = header(name, help, 'counter');
+      for (const [key, value] of values) lines.push(`${name}${formatLabels(JSON.parse(key))} ${value}`);
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    // Measures an async function in seconds; the outcome label is added from its result
+    async time(labels, fn) {
+      const started = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+      try {
+        const result = await fn();
+        metric.observe({ ...labels, outcome: 'ok' }, elapsed());
+        return result;
+      } catch (err) {
+        metric.observe({ ...labels, outcome: 'error' }, elapsed());
+        throw err;
+      }
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const [key, s] of series) {
+        const entries = JSON.parse(key);
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels([...entries, ['le', le]])} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels([...entries, ['le', '+Inf']])} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(entries)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(entries)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// collect() → [[labels, value], ...], called on every scrape (cache sizes, circuit states)
+function gauge(name, help, collect) {
+  const metric = {
+    render() {
+      const lines = header(name, help, 'gauge');
+      for (const [labels, value] of collect()) lines.push(`${name}${formatLabels(Object.entries(labels))} ${value}`);
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Same as gauge, for counters kept elsewhere (e.g. cache hit counts in lib/cache.js)
+function collectedCounter(name, help, collect) {
+  const metric = {
+    render() {
+      const lines = header(name, help, 'counter');
+      for (const [labels, value] of collect()) lines.push(`${name}${formatLabels(Object.entries(labels))} ${value}`);
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function render() {
+  return `${metrics.flatMap(m => m.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  collectedCounter,
+  render,
+};
@@ -0,0 +1,291 @@
+// Release-name parser: Nyaa torrent title / file name → structured fields
+//
+// "[SubsPlease] Sousou no Frieren - 07v2 (1080p) [A1B2C3D4].mkv" →
+//   { group: 'SubsPlease', title: 'Sousou no Frieren', episode: 7, version: 2,
+//     resolution: '1080p', crc: 'A1B2C3D4', batch: false, ... }
+
+const VIDEO_EXTENSION = /\.(mkv|mp4|avi|m4v|webm|ts|wmv|mov)$/i;
+
+const RESOLUTIONS = [
+  [/\b(?:2160p|4k|uhd|3840x2160)\b/i, '2160p'],
+  [/\b(?:1080p|1920x1080|fhd)\b/i, '1080p'],
+  [/\b(?:720p|1280x720)\b/i, '720p'],
+  [/\b(?:576p)\b/i, '576p'],
+  [/\b(?:480p|848x480|640x480)\b/i, '480p'],
+];
+
+const VIDEO_CODECS = [
+  [/\b(?:hevc|[xh]\.?265)\b/i, 'HEVC'],
+  [/\b(?:avc|[xh]\.?264)\b/i, 'AVC'],
+  [/\bav1\b/i, 'AV1'],
+  [/\bvp9\b/i, 'VP9'],
+];
+
+const AUDIO_CODECS = [
+  [/\bflac\b/i, 'FLAC'],
+  [/\b(?:e-?ac-?3|ddp\d?(?:\.\d)?|dd\+)/i, 'EAC3'],
+  [/\b(?:ac-?3|dd\d(?:\.\d)?)\b/i, 'AC3'],
+  [/\btruehd\b/i, 'TrueHD'],
+  [/\bdts(?:-?hd)?\b/i, 'DTS'],
+  [/\bopus\b/i, 'Opus'],
+  [/\baac\d?(?:\.\d)?\b/i, 'AAC'],
+  [/\bmp3\b/i, 'MP3'],
+];
+
+const SOURCES = [
+  [/\b(?:bd|bdrip|bd-?rip|blu-?ray|bdmv|bdremux|remux)\b/i, 'BD'],
+  [/\b(?:web|web-?dl|web-?rip|cr|amzn|nf|dsnp|hidive|adn|b-?global)\b/i, 'WEB'],
+  [/\b(?:dvd|dvdrip|dvd-?rip|r2j?)\b/i, 'DVD'],
+  [/\b(?:hdtv|tv-?rip|tv)\b/i, 'TV'],
+];
+
+// Non-episode content: creditless OP/ED, promos, recaps
+const EXTRAS = /mini[ -]anime|recap|\bnc[ -]?(?:op|ed)\d*\b|\bcreditless\b|\bpv\b|preview|trailer/i;
+
+// OVAs/specials with their own numbering: "OVA 2", "OVA - 02", "SP01", "Special 3"
+// A bare "Special(s)" needs a number - "[Special Edition]", "Special A" are no specials
+const SPECIAL = /\b(ova|oad|sp(?=\s*\d)|specials?(?=\s*[-#]?\s*\d))(?:\s*[-#]?\s*(\d{1,3})(?:v\d)?)?\b/i;
+// "Season 1 + Specials" / "& OVA" in a batch name lists extra content, it isn't the release's kind
+const EXTRA_SPECIALS = /\s[+&]\s*(?:specials?|ovas?|oads?)\b/gi;
+
+// Language names and tags in release names → ISO 639-1 codes
+const LANGUAGE_NAMES = [
+  ['en', 'eng(?:lish)?'],
+  ['ja', 'jap(?:anese)?|jpn?'],
+  ['fr', 'fre|fra|french'],
+  ['it', 'ita(?:lian)?'],
+  ['de', 'ger(?:man)?|deu'],
+  ['es', 'spa(?:nish)?|esp|castellano|latino'],
+  ['pt', 'por(?:tuguese)?|pt-?br'],
+  ['ru', 'rus(?:sian)?'],
+  ['ar', 'ara(?:bic)?'],
+  ['pl', 'pol(?:ish)?'],
+  ['cs', 'cz|cze|ces|czech'],
+];
+const LANGUAGE_CODES = LANGUAGE_NAMES.map(([code]) => code);
+
+// "English Dub", "ITA Audio", "CZ dabing" / "Eng Subs", "Sub ITA", "CZ titulky"; a bare tag ("[ITA]") means subtitles
+const LANGUAGE_PATTERNS = LANGUAGE_NAMES.map(([code, names]) => ({
+  code,
+  audio: new RegExp(`\\b(?:${names})[\\s.-]?(?:dub(?:bed)?|dabing|audio)\\b|\\b(?:dub|audio)[\\s.-]?(?:${names})\\b(?![\\s.-]?(?:subs?|subtitles?)\\b)`, 'i'),
+  subs: new RegExp(`\\b(?:${names})[\\s.-]?(?:(?:soft)?subs?|subtitles?|titulky)\\b|\\bsubs?[\\s.-]?(?:${names})\\b`, 'i'),
+  tag: new RegExp(`^(?:${names})$`, 'i'),
+}));
+
+const ORDINAL_SEASON = /\b(\d{1,2})(?:st|nd|rd|th)\s*season\b/i;
+
+// Theatrical releases: "Show the Movie", "Gekijouban Show", "Show Movie 2"
+const MOVIE = /\b(?:movie|gekijou?ban)\b/i;
+
+// → { kind, number }; "S00E02" counts as special 2 even without a marker
+function parseSpecial(core, tagText, season, episode) {
+  const m = core.replace(EXTRA_SPECIALS, ' ').match(SPECIAL) || tagText.replace(EXTRA_SPECIALS, ' ').match(SPECIAL);
+  if (m) {
+    const kind = m[1].toLowerCase().replace(/s$/, '');
+    return { kind: kind === 'special' ? 'sp' : kind, number: m[2] ? parseInt(m[2]) : (season === 0 ? episode : null) };
+  }
+  return season === 0 ? { kind: 'sp', number: episode } : null;
+}
+
+// → { audio[], subtitles[], raw }; audio without any tag is the original Japanese,
+// subtitles stay empty when the name doesn't say (the caller knows the index category)
+// "Multi-Subs" → subtitles ['multi'], "Dual Audio" → Japanese + English unless another dub is named
+function parseLanguages(everything, tailTags) {
+  const audio = new Set();
+  const subtitles = new Set();
+  const bare = LANGUAGE_PATTERNS.filter(({ tag }) => tailTags.some(t => tag.test(t))).map(({ code }) => code);
+  // Scene style "ITA.JPN" lists the audio tracks
+  const bareAudio = bare.includes('ja');
+  for (const { code, audio: dub, subs } of LANGUAGE_PATTERNS) {
+    if (dub.test(everything) || (bareAudio && bare.includes(code))) audio.add(code);
+    else if (subs.test(everything) || (code !== 'ja' && bare.includes(code))) subtitles.add(code);
+  }
+
+  // French tags: VOSTFR = subtitled, VF/VFF/VFQ = French dub
+  if (/\bvostfr\b/i.test(everything)) subtitles.add('fr');
+  if (tailTags.some(t => /^vf[fq]?$/i.test(t))) audio.add('fr');
+  if (/\bmulti[\s.-]?subs?\b|\bmultiple[\s.-]?subtitles?\b/i.test(everything)) subtitles.add('multi');
+  // Plain "Dub"/"Dubbed" on an English index is the English dub
+  if (/\b(?:dub|dubbed)\b/i.test(everything) && !audio.size) audio.add('en');
+
+  // A subtitle tag can't be the audio track as well ("ITA Dub + Sub ITA" is one dubbed release);
+  // only named dubs count - the English track Dual Audio implies below keeps "Eng-Subs"
+  for (const code of audio) if (code !== 'ja') subtitles.delete(code);
+
+  // Raw group names ("Ohys-Raws") are stripped with the group - their Nyaa category tells instead
+  const raw = /\braws?\b/i.test(everything);
+  if (/\b(?:dual|multi)[\s.-]?audio\b/i.test(everything)) {
+    if (![...audio].some(l => l !== 'ja')) audio.add('en');
+    audio.add('ja');
+  }
+  if (!audio.size) audio.add('ja');
+
+  return {
+    audio: [...audio].sort((a, b) => (b === 'ja') - (a === 'ja')),
+    subtitles: raw ? [] : [...subtitles],
+    raw,
+  };
+}
+
+function firstMatch(table, str) {
+  for (const [re, value] of table) if (re.test(str)) return value;
+  return null;
+}
+
+function isYear(n) {
+  return n >= 1950 && n <= 2099;
+}
+
+// "[Group] Title - 01 [tags]" → leading group; "Title.S01E01.1080p.WEB-GROUP" → scene group
+function parseGroup(name) {
+  const bracket = name.match(/^\s*\[([^\]]+)\]/);
+  if (bracket) return bracket[1].trim();
+  const scene = name.match(/-([A-Za-z0-9]+)$/);
+  return scene && !/^\d+$/.test(scene[1]) ? scene[1] : null;
+}
+
+function parseSeason(str) {
+  const se = str.match(/\bS(\d{1,2})\s*E\d{1,4}/i);
+  if (se) return parseInt(se[1]);
+  const season = str.match(/\bSeason\s*(\d{1,2})\b/i);
+  if (season) return parseInt(season[1]);
+  const ordinal = str.match(ORDINAL_SEASON);
+  if (ordinal) return parseInt(ordinal[1]);
+  const short = str.match(/\bS(\d{1,2})\b/i);
+  if (short) return parseInt(short[1]);
+  return null;
+}
+
+// "01-12", "01 ~ 12", "S01E01-E12", "Episodes 1-12" → { from, to }
+function parseEpisodeRange(str) {
+  const se = str.match(/\bS\d{1,2}\s*E(\d{1,4})\s*-\s*E?(\d{1,4})\b/i);
+  if (se && parseInt(se[2]) > parseInt(se[1])) return { from: parseInt(se[1]), to: parseInt(se[2]) };
+
+  // Zero-width lookahead: a rejected candidate ("2 - 01" in "Season 2 - 01 ~ 12") doesn't consume
+  // the text, so the real range after it is still tried
+  const re = /(?=(^|[\s\[(#]|ep?|episodes?\s*)(\d{1,4})\s*[-~]\s*(\d{1,4})(?=$|[\s\])v]))/gi;
+  for (const m of str.matchAll(re)) {
+    const from = parseInt(m[2]);
+    const to = parseInt(m[3]);
+    // Single-digit starts need padding ("01-12") so "Title 2 - 05" isn't read as a range
+    if (m[2].length < 2 && !/ep|episodes?/i.test(m[1])) continue;
+    if (to > from && !(isYear(from) && isYear(to))) return { from, to };
+  }
+  return null;
+}
+
+// Episode number from the title part (bracketed tags already removed)
+function parseEpisode(str) {
+  const se = str.match(/\bS\d{1,2}\s*E(\d{1,4})(?:v(\d))?/i);
+  if (se) return { episode: parseInt(se[1]), version: se[2] ? parseInt(se[2]) : null };
+
+  const marked = str.match(/(?:\bE|\bEP\.?\s*|\bEpisode\s*|#)(\d{1,4})(?:v(\d))?\b/i);
+  if (marked) return { episode: parseInt(marked[1]), version: marked[2] ? parseInt(marked[2]) : null };
+
+  // SubsPlease / Erai-raws style: "Title - 07", "Title - 07v2"
+  const dashed = [...str.matchAll(/\s-\s+(\d{1,4})(?:v(\d))?(?=$|\s)/g)].pop();
+  if (dashed && !isYear(parseInt(dashed[1]))) {
+    return { episode: parseInt(dashed[1]), version: dashed[2] ? parseInt(dashed[2]) : null };
+  }
+
+  // Trailing number: "Title 07", "07" - after a title only a two-digit number counts
+  // so "Mob Psycho 100" or "Kaiju No. 8" keep their numbers
+  const trailing = str.trim().match(/(?:^|\s)(\d{1,4})(?:v(\d))?$/);
+  if (trailing && !isYear(parseInt(trailing[1]))) {
+    const alone = str.trim() === trailing[0].trim();
+    if (alone || trailing[1].length === 2) {
+      return { episode: parseInt(trailing[1]), version: trailing[2] ? parseInt(trailing[2]) : null };
+    }
+  }
+  return { episode: null, version: null };
+}
+
+// Title = text between the group and the first season/episode marker or tag
+function parseTitle(core) {
+  const cut = core.search(/\s-\s+\d|\bS\d{1,2}(?:\s*E\d|\b)|\bSeason\s*\d|\b\d{1,2}(?:st|nd|rd|th)\s*season\b|\bE(?:P\.?\s*)?\d{1,4}\b|\bEpisode\s*\d|\s\d{2}(?:v\d)?$|^\d{1,4}(?:v\d)?$/i);
+  if (cut === 0) return null;
+  const title = (cut > 0 ? core.slice(0, cut) : core)
+    .replace(/\s-\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return title || null;
+}
+
+function parseReleaseName(rawName) {
+  const full = (rawName || '').trim();
+  let name = full.split('/').pop().replace(VIDEO_EXTENSION, '');
+
+  const group = parseGroup(name);
+  if (/^\s*\[/.test(name)) name = name.replace(/^\s*\[[^\]]+\]\s*/, '');
+
+  // Scene names use dots/underscores as separators
+  const spaced = /\s/.test(name) ? name.replace(/_/g, ' ') : name.replace(/[._]/g, ' ');
+
+  const tags = [...spaced.matchAll(/\[([^\]]*)\]|\(([^)]*)\)/g)].map(m => (m[1] ?? m[2]).trim());
+  // Title part without bracketed tags; scene group suffix removed
+  const core = spaced
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(group && !/^\s*\[/.test(full) ? new RegExp(`-${group}$`) : /$^/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const tagText = tags.join(' ');
+  const everything = `${core} ${tagText}`;
+
+  const crc = tags.find(t => /^[0-9A-F]{8}$/i.test(t) && !/^\d{8}$/.test(t))?.toUpperCase() || null;
+
+  const episodeRange = parseEpisodeRange(core) || parseEpisodeRange(tagText);
+  const { episode, version: epVersion } = episodeRange ? { episode: null, version: null } : parseEpisode(core);
+  const version = epVersion ?? (everything.match(/\bv(\d)\b/i) ? parseInt(everything.match(/\bv(\d)\b/i)[1]) : null);
+
+  // Season can live in the core ("S2 - 05") or in a tag ("(Season 2)")
+  const season = parseSeason(core) ?? parseSeason(tagText);
+
+  const yearMatch = everything.match(/(?:^|[\s(\[])((?:19[5-9]|20\d)\d)(?=$|[\s)\]])/);
+  const extra = everything.match(EXTRAS)?.[0]?.toLowerCase().replace(/\s+/g, ' ') || null;
+  const special = parseSpecial(core, tagText, season, episode);
+  // Bare language tags only count outside the title: bracket tags and scene tokens after it
+  const title = parseTitle(core);
+  const tailTags = [...tags.flatMap(t => [t, ...t.split(/[\s,+&/-]+/)]), ...core.slice(title?.length || 0).split(/\s+/)];
+  const languages = parseLanguages(everything, tailTags);
+
+  const batch = !!episodeRange
+    || /\b(?:batch|complete|complete series|specials)\b/i.test(everything)
+    || (season != null && episode == null);
+
+  return {
+    group,
+    title,
+    season,
+    episode,
+    episodeRange,
+    version,
+    year: yearMatch ? parseInt(yearMatch[1]) : null,
+    resolution: firstMatch(RESOLUTIONS, everything),
+    videoCodec: firstMatch(VIDEO_CODECS, everything),
+    audioCodec: firstMatch(AUDIO_CODECS, everything),
+    source: firstMatch(SOURCES, everything),
+    dualAudio: /\bdual[\s.-]?audio\b|\bmulti[\s.-]?audio\b/i.test(everything),
+    audio: languages.audio,
+    subtitles: languages.subtitles,
+    raw: languages.raw,
+    movie: MOVIE.test(core),
+    batch,
+    extra,
+    special,
+    crc,
+  };
+}
+
+// Does a parsed release contain the episode? Single episode or a batch whose range covers it
+// episodes: every acceptable number (relative + absolute)
+function coversEpisode(parsed, episodes) {
+  if (parsed.episode != null) return episodes.includes(parsed.episode);
+  if (parsed.episodeRange) return episodes.some(e => e >= parsed.episodeRange.from && e <= parsed.episodeRange.to);
+  return false;
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  parseReleaseName,
+  coversEpisode,
+};
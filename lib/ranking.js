@@ -0,0 +1,123 @@
+// Stream ranking engine: hard filters + weighted scoring rules driven by user config
+//
+// Each rule scores a parsed release between 0 and 1 and is multiplied by its weight.
+// Default weights keep the old fixed order: resolution, then group, then seeders.
+
+const DEFAULT_WEIGHTS = {
+  resolution: 1000,
+  audio: 400,
+  dualAudio: 200,
+  subtitles: 300,
+  group: 100,
+  codec: 50,
+  source: 20,
+  version: 10,
+  seeders: 10,
+  year: 30,
+};
+
+const SIZE_UNITS = { b: 1, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12 };
+
+// Nyaa "1.4 GiB" → bytes, null when unknown
+function parseSize(filesize) {
+  const m = String(filesize || '').trim().match(/^([\d.]+)\s*([kmgt]?i?b)$/i);
+  if (!m) return null;
+  return parseFloat(m[1]) * (SIZE_UNITS[m[2].toLowerCase()] || 1);
+}
+
+// Position in a preferred list → 1 for first, falling towards 0; 0 when not listed
+function listScore(list, value) {
+  const idx = list.indexOf((value || '').toLowerCase());
+  return idx === -1 ? 0 : (list.length - idx) / list.length;
+}
+
+// Best position of any of the release's languages; "none" = raw (no subtitles),
+// "multi" subtitles count as any listed language at half the score
+function languageScore(list, values, raw = false) {
+  if (!list.length) return 0;
+  if (raw) return listScore(list, 'none');
+  const scores = values.map(v => v === 'multi'
+    ? Math.max(0, ...list.filter(l => l !== 'none').map(l => listScore(list, l))) / 2
+    : listScore(list, v));
+  return Math.max(0, ...scores);
+}
+
+// context.year - release year of the requested show/movie (from resolveAnimeNames)
+function createRules(config, context) {
+  const resolutions = config.resolutions.map(r => r.toLowerCase());
+  const groups = config.preferredGroups.map(g => g.toLowerCase());
+  const codecs = config.videoCodecs.map(c => c.toLowerCase());
+  const { audioLanguages, subtitleLanguages } = config;
+
+  return [
+    { id: 'resolution', score: p => listScore(resolutions, p.resolution), label: p => p.resolution },
+    { id: 'group', score: p => listScore(groups, p.group), label: p => p.group },
+    { id: 'codec', score: p => listScore(codecs, p.videoCodec), label: p => p.videoCodec },
+    { id: 'audio', score: p => languageScore(audioLanguages, p.audio), label: p => `audio ${p.audio.join('+')}` },
+    { id: 'subtitles', score: p => languageScore(subtitleLanguages, p.subtitles, p.raw), label: p => `subs ${p.raw ? 'raw' : p.subtitles.join('+')}` },
+    { id: 'dualAudio', score: p => config.preferDualAudio && p.dualAudio ? 1 : 0, label: () => 'Dual Audio' },
+    { id: 'source', score: p => config.preferBD ? ({ BD: 1, WEB: 0.5 }[p.source] || 0) : 0, label: p => p.source },
+    { id: 'year', score: p => context.year && p.year === context.year ? 1 : 0, label: p => `${p.year}` },
+    { id: 'version', score: p => config.preferNewestVersion && p.version > 1 ? Math.min((p.version - 1) / 2, 1) : 0, label: p => `v${p.version}` },
+    { id: 'seeders', score: (p, t) => Math.min(Math.log10((parseInt(t.seeders) || 0) + 1) / 4, 1), label: (p, t) => `${t.seeders ?? '?'} seeders` },
+  ];
+}
+
+// Hard filters → reason string when the torrent must be dropped
+function getRejectReason(t, config) {
+  const p = t.parsed;
+  // Unknown seeders (sources without swarm info) never fail the minimum
+  const seeders = parseInt(t.seeders) || 0;
+  if (t.seeders != null && seeders < config.minSeeders) return `seeders ${seeders} < ${config.minSeeders}`;
+  if (p.group && config.blockedGroups.some(g => g.toLowerCase() === p.group.toLowerCase())) return `blocked group ${p.group}`;
+  if (config.strictCodecs && config.videoCodecs.length
+    && !config.videoCodecs.some(c => c.toLowerCase() === (p.videoCodec || '').toLowerCase())) {
+    return `codec ${p.videoCodec || '?'} not allowed`;
+  }
+  // Preferred languages as a filter: a listed audio OR subtitle language is enough ("CZ dub or CZ subs")
+  if (config.strictLanguages && (config.audioLanguages.length || config.subtitleLanguages.length)
+    && !languageScore(config.audioLanguages, p.audio) && !languageScore(config.subtitleLanguages, p.subtitles, p.raw)) {
+    return `languages ${p.audio.join('+')}/${p.raw ? 'raw' : p.subtitles.join('+') || '?'} not allowed`;
+  }
+
+  const bytes = parseSize(t.filesize);
+  // Batch packs are many episodes - size limits are meant for single files
+  if (bytes != null && !p.batch) {
+    if (config.minSizeGB && bytes < config.minSizeGB * 1e9) return `size ${t.filesize} < ${config.minSizeGB} GB`;
+    if (config.maxSizeGB && bytes > config.maxSizeGB * 1e9) return `size ${t.filesize} > ${config.maxSizeGB} GB`;
+  }
+  return null;
+}
+
+// torrents (with .parsed) → { ranked: [{ torrent, score, reasons[] }], rejected: [{ torrent, reason }] }
+// context = { year } of the request, optional
+function rankTorrents(torrents, config, context = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...config.weights };
+  const rules = createRules(config, context);
+  const ranked = [];
+  const rejected = [];
+
+  for (const torrent of torrents) {
+    const reason = getRejectReason(torrent, config);
+    if (reason) { rejected.push({ torrent, reason }); continue; }
+
+    let score = 0;
+    const reasons = [];
+    for (const rule of rules) {
+      const points = Math.round(rule.score(torrent.parsed, torrent) * (weights[rule.id] || 0));
+      if (!points) continue;
+      score += points;
+      reasons.push(`${rule.label(torrent.parsed, torrent)} +${points}`);
+    }
+    ranked.push({ torrent, score, reasons });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || (parseInt(b.torrent.seeders) || 0) - (parseInt(a.torrent.seeders) || 0));
+  return { ranked, rejected };
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseSize,
+  rankTorrents,
+};
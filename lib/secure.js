@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Server-side secrets: sealed config tokens, signed references and log redaction
+//
+// CONFIG_SECRET - server secret; every token is encrypted/signed with keys derived from it.
+// Without it a random secret is generated per process, so installed addon URLs break on restart.
+
+const TOKEN_PREFIX = 'v1.';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let secret = process.env.CONFIG_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.log('⚠️  CONFIG_SECRET not set - using a random secret, config tokens will not survive a restart');
+}
+
+// Separate keys per purpose, so a signature can never be replayed as a token or vice versa
+function deriveKey(purpose) {
+  return crypto.createHmac('sha256', secret).update(purpose).digest();
+}
+
+const SEAL_KEY = deriveKey('config-seal');
+const SIGN_KEY = deriveKey('ref-sign');
+
+function isSealed(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+// object → "v1.<base64url(iv | tag | ciphertext)>" (AES-256-GCM)
+// The IV is derived from the content, so the same config always yields the same URL
+function seal(data) {
+  const plain = Buffer.from(JSON.stringify(data), 'utf8');
+  const iv = crypto.createHmac('sha256', SEAL_KEY).update(plain).digest().subarray(0, IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SEAL_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return TOKEN_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+// token → object, null when tampered with or sealed with another secret
+function unseal(token) {
+  if (!isSealed(token)) return null;
+  try {
+    const raw = Buffer.from(token.slice(TOKEN_PREFIX.length), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SEAL_KEY, raw.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    const plain = Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Short HMAC of a string - 16 base64url chars (96 bits) are plenty for URL references
+function sign(value) {
+  return crypto.createHmac('sha256', SIGN_KEY).update(value).digest('base64url').slice(0, 16);
+}
+
+// Constant-time string comparison (signatures, admin token)
+function safeEqual(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function verify(value, signature) {
+  return safeEqual(signature, sign(value));
+}
+
+// Stable, non-reversible id for a credential (cache keys, logs) - independent of the secret,
+// so persisted cache entries stay valid when CONFIG_SECRET changes
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+}
+
+// Top-level paths that never carry a config
+const PUBLIC_SEGMENTS = new Set(['', 'configure', 'manifest.json', 'logo.png', 'api', 'debug', 'status']);
+// Query parameters that carry credentials
+const SECRET_PARAMS = /([?&](?:token|config)=)[^&]*/g;
+
+// "/eyJ.../stream/x.json" → "/<config>/stream/x.json" - sealed token, legacy base64 config or bare RD key
+function redactUrl(url) {
+  const [pathname, query = ''] = String(url).split('?');
+  const parts = pathname.split('/');
+  if (parts.length > 2 && !PUBLIC_SEGMENTS.has(parts[1])) parts[1] = '<config>';
+  return parts.join('/') + (query ? `?${query}`.replace(SECRET_PARAMS, '$1<redacted>') : '');
+}
+
+module.exports = {
+  isSealed,
+  seal,
+  unseal,
+  sign,
+  verify,
+  safeEqual,
+  fingerprint,
+  redactUrl,
+};
@@ -0,0 +1,28 @@
+const http = require('../upstream').client('animetosho');
+const { formatSize } = require('./helpers');
+
+// AnimeTosho JSON feed - mirrors Nyaa/TokyoTosho/AniDex anime releases
+const API = 'https://feed.animetosho.org/json';
+const TIMEOUT = 10000;
+
+module.exports = {
+  id: 'animetosho',
+  name: 'AnimeTosho',
+
+  async search(query) {
+    const res = await http.get(API, { params: { q: query }, timeout: TIMEOUT });
+    const items = Array.isArray(res.data) ? res.data : [];
+    return items
+      .filter(t => t.title && (t.magnet_uri || t.info_hash))
+      .map(t => ({
+        name: t.title,
+        magnet: t.magnet_uri || `magnet:?xt=urn:btih:${t.info_hash}&dn=${encodeURIComponent(t.title)}`,
+        torrent: t.torrent_url || null,
+        seeders: parseInt(t.seeders) || 0,
+        leechers: parseInt(t.leechers) || 0,
+        filesize: t.total_size ? formatSize(t.total_size) : null,
+        date: t.timestamp ? new Date(t.timestamp * 1000).toISOString() : null,
+        source: 'animetosho',
+      }));
+  },
+};
@@ -0,0 +1,33 @@
+// Shared helpers for source results
+
+// 1503238553 → "1.4 GiB" (Nyaa's own size format, so ranking parses every source the same way)
+function formatSize(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let size = Number(bytes) || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) { size /= 1024; unit++; }
+  return `${size.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+// Text of the first <tag> in an RSS <item>, CDATA unwrapped
+function rssTag(item, tag) {
+  const m = item.match(new RegExp(`<${tag}>(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?</${tag}>`));
+  return m ? m[1].trim() : null;
+}
+
+function decodeEntities(str) {
+  return (str || '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// RSS document → raw <item> bodies
+function rssItems(xml) {
+  return String(xml).split('<item>').slice(1);
+}
+
+module.exports = {
+  formatSize,
+  rssTag,
+  decodeEntities,
+  rssItems,
+};
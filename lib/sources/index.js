@@ -0,0 +1,40 @@
+const nyaa = require('./nyaa');
+const animetosho = require('./animetosho');
+const tokyotosho = require('./tokyotosho');
+
+// Torrent index sources. Each implements:
+//   search(query, options) → [{ name, magnet, torrent, seeders, leechers, filesize, date, source }]
+// seeders is null when the index doesn't know it (TokyoTosho).
+const SOURCES = { nyaa, animetosho, tokyotosho };
+const DEFAULT_SOURCES = ['nyaa', 'animetosho'];
+
+function getSource(id) {
+  return SOURCES[id] || null;
+}
+
+// One query against every enabled source in parallel → combined results (not deduped)
+// Throws only when every source failed, so callers can tell "nothing found" from an outage
+async function searchSources(query, sourceIds, options = {}) {
+  const sources = sourceIds.map(getSource).filter(Boolean);
+  const results = await Promise.allSettled(sources.map(s => s.search(query, options)));
+
+  const torrents = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') torrents.push(...r.value);
+    else console.log(`${sources[i].name}: ⚠️  "${query}" failed: ${r.reason?.message}`);
+  });
+
+  if (sources.length && results.every(r => r.status === 'rejected')) {
+    throw new Error(`all sources failed for "${query}"`);
+  }
+  return torrents;
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULT_SOURCES,
+  getSource,
+  searchSources,
+  // Hash-only references (signed /play links) are turned back into magnets with Nyaa's trackers
+  buildMagnet: nyaa.buildMagnet,
+};
@@ -0,0 +1,128 @@
+const upstream = require('../upstream');
+const { si } = require('nyaapi');
+const { rssTag, rssItems, decodeEntities } = require('./helpers');
+
+// Nyaa.si via nyaapi (HTML scraping, up to MAX_PAGES pages) with the RSS feed as fallback transport.
+// Mirrors are tried in order; the first domain that answers wins.
+const DEFAULT_MIRRORS = ['nyaa.si'];
+// Anime subcategories; English-translated is the default, the others are searched for language preferences
+const CATEGORIES = {
+  english: '1_2',
+  nonEnglish: '1_3',
+  raw: '1_4',
+};
+const TIMEOUT = 10000;
+// Result pages (75 each, newest first) of one query - a bare show name can have dozens
+const MAX_PAGES = 3;
+
+const TRACKERS = [
+  'http://nyaa.tracker.wf:7777/announce',
+  'udp://open.stealth.si:80/announce',
+  'udp://tracker.opentrackr.org:1337/announce',
+  'udp://exodus.desync.com:6969/announce',
+];
+
+// nyaapi's searchAll/searchPage only use `this.cli`, so a per-mirror client can be bound in.
+// Each mirror is its own upstream host: one failing domain doesn't trip the breaker for the others.
+function createMirrorClient(domain) {
+  return {
+    cli: upstream.client(`nyaa:${domain}`, { baseURL: `https://${domain}`, timeout: TIMEOUT }),
+    searchPage: si.searchPage,
+  };
+}
+
+function normalize(t, domain, category) {
+  return {
+    name: t.name,
+    magnet: t.magnet,
+    torrent: t.torrent,
+    seeders: parseInt(t.seeders) || 0,
+    leechers: parseInt(t.leechers) || 0,
+    filesize: t.filesize,
+    date: t.date,
+    source: 'nyaa',
+    mirror: domain,
+    category,
+  };
+}
+
+// recent - only the first (newest) page instead of up to MAX_PAGES
+async function searchHTML(domain, query, category, recent) {
+  const client = createMirrorClient(domain);
+  const opts = { filter: 0, category };
+  const { results, maxPage } = await si.searchPage.call(client, query, 1, opts, true);
+  // Page by page: nyaapi's searchAll fetches every page at once and retries failed ones forever
+  const lastPage = Math.min(maxPage || 1, recent ? 1 : MAX_PAGES);
+  for (let page = 2; page <= lastPage; page++) {
+    results.push(...await si.searchPage.call(client, query, page, opts));
+  }
+  return results.map(t => normalize(t, domain, category));
+}
+
+// Magnet with the public trackers, name is optional
+function buildMagnet(hash, name) {
+  const tr = TRACKERS.map(t => `&tr=${encodeURIComponent(t)}`).join('');
+  const dn = name ? `&dn=${encodeURIComponent(name)}` : '';
+  return `magnet:?xt=urn:btih:${hash}${dn}${tr}`;
+}
+
+// RSS only returns the newest 75 matches, but keeps working when the HTML pages are blocked
+async function searchRSS(domain, query, category) {
+  const res = await upstream.client(`nyaa:${domain}`).get(`https://${domain}/`, {
+    params: { page: 'rss', f: 0, c: category, q: query },
+    timeout: TIMEOUT,
+    responseType: 'text',
+  });
+  const items = rssItems(res.data);
+  return items.map(item => {
+    const name = decodeEntities(rssTag(item, 'title'));
+    const hash = rssTag(item, 'nyaa:infoHash');
+    if (!name || !hash) return null;
+    return {
+      name,
+      magnet: buildMagnet(hash.toLowerCase(), name),
+      torrent: rssTag(item, 'link'),
+      seeders: parseInt(rssTag(item, 'nyaa:seeders')) || 0,
+      leechers: parseInt(rssTag(item, 'nyaa:leechers')) || 0,
+      filesize: rssTag(item, 'nyaa:size'),
+      date: rssTag(item, 'pubDate') ? new Date(rssTag(item, 'pubDate')).toISOString() : null,
+      source: 'nyaa',
+      mirror: domain,
+      category,
+    };
+  }).filter(Boolean);
+}
+
+async function searchCategory(query, category, mirrors, recent) {
+  let lastError = null;
+  for (const transport of [searchHTML, searchRSS]) {
+    for (const domain of mirrors) {
+      try {
+        return await transport(domain, query, category, recent);
+      } catch (err) {
+        lastError = err;
+        console.log(`Nyaa: ⚠️  ${transport === searchHTML ? 'HTML' : 'RSS'} ${domain} failed: ${err.message}`);
+      }
+    }
+  }
+  throw lastError || new Error('Nyaa: no mirror answered');
+}
+
+module.exports = {
+  id: 'nyaa',
+  name: 'Nyaa',
+  DEFAULT_MIRRORS,
+  CATEGORIES,
+  buildMagnet,
+
+  // options.mirrors - domains to try in order, options.categories - Nyaa categories (one query each),
+  // options.recent - newest uploads only (one page, for catalogs)
+  // Results carry their category; throws only when every category failed
+  async search(query, options = {}) {
+    const mirrors = options.mirrors?.length ? options.mirrors : DEFAULT_MIRRORS;
+    const categories = options.categories?.length ? options.categories : [CATEGORIES.english];
+    const results = await Promise.allSettled(categories.map(c => searchCategory(query, c, mirrors, options.recent)));
+    if (results.every(r => r.status === 'rejected')) throw results[0].reason;
+    return results.flatMap(r => r.status === 'fulfilled' ? r.value : []);
+  },
+};
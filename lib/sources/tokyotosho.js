@@ -0,0 +1,34 @@
+const http = require('../upstream').client('tokyotosho');
+const { rssTag, rssItems, decodeEntities } = require('./helpers');
+
+// TokyoTosho RSS search, type 1 = Anime. The feed has no swarm info, so seeders are unknown (null).
+const API = 'https://www.tokyotosho.info/rss.php';
+const TIMEOUT = 10000;
+
+module.exports = {
+  id: 'tokyotosho',
+  name: 'TokyoTosho',
+
+  async search(query) {
+    const res = await http.get(API, { params: { terms: query, type: 1 }, timeout: TIMEOUT, responseType: 'text' });
+    const items = rssItems(res.data);
+    return items.map(item => {
+      const name = decodeEntities(rssTag(item, 'title'));
+      const description = decodeEntities(rssTag(item, 'description'));
+      const magnet = description.match(/href="(magnet:\?[^"]+)"/)?.[1];
+      if (!name || !magnet) return null;
+      // "Size: 1.37GB" → "1.37 GB"
+      const size = description.match(/Size:\s*([\d.]+)\s*([KMGT]i?B)/i);
+      return {
+        name,
+        magnet,
+        torrent: rssTag(item, 'link'),
+        seeders: null,
+        leechers: null,
+        filesize: size ? `${size[1]} ${size[2]}` : null,
+        date: rssTag(item, 'pubDate') ? new Date(rssTag(item, 'pubDate')).toISOString() : null,
+        source: 'tokyotosho',
+      };
+    }).filter(Boolean);
+  },
+};
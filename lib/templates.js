@@ -0,0 +1,87 @@
+// Stream name/title templates: placeholders filled from the parsed release and its debrid state
+//
+//   {field}           value, empty when unknown
+//   {field|fallback}  fallback text when the value is empty
+//   [ ... ]           optional part, dropped when any placeholder inside it is empty
+// Lines left empty are removed, so a missing field never leaves a blank line on the TV.
+//
+// Fields: name, title, group, resolution, codec, audioCodec, media (BD/WEB), version, season, episode,
+// seasonHint, batch, size, seeders, seedersLabel, source, languages, provider, providerShort, cache, icon
+
+const PRESETS = {
+  // The original look: full release name, seeders/size/source and languages
+  default: {
+    name: '{icon} {provider}[ {cache}]',
+    title: '{name}[ {seasonHint}]\n👥 {seeders|?} {seedersLabel} | 📦 {size|?} | 🌐 {source}\n{languages}',
+  },
+  // One short line - group, quality and size
+  compact: {
+    name: '{icon} {providerShort}[ {cache}]\n{resolution}',
+    title: '[{group} · ][{resolution} ][{codec} ]📦 {size|?}[ 👥 {seeders}]',
+  },
+  // Every parsed field on its own line
+  detailed: {
+    name: '{icon} {provider}[ {cache}]\n[{resolution}]',
+    title: '{name}[ {seasonHint}]\n[🎬 {resolution}][ {codec}][ {audioCodec}][ {media}][ v{version}][ 📚 {batch}]'
+      + '\n[👤 {group} | ]👥 {seeders|?} {seedersLabel} | 📦 {size|?} | 🌐 {source}\n{languages}',
+  },
+  // Short lines that fit a TV list without truncation: no raw torrent name
+  tv: {
+    name: '{providerShort}[ {cache}]\n[{resolution}]',
+    title: '{title|{name}}[ E{episode}][ ({batch})]\n[{group} · ]📦 {size|?}[ · 👥 {seeders}]\n{languages}',
+  },
+};
+
+const DEFAULT_PRESET = 'default';
+const MAX_TEMPLATE_LENGTH = 500;
+
+const PLACEHOLDER = /\{(\w+)(?:\|([^{}]*(?:\{\w+\}[^{}]*)*))?\}/g;
+const OPTIONAL = /\[([^\[\]]*)\]/g;
+
+function isEmpty(value) {
+  return value == null || value === '' || value === false;
+}
+
+// Optional parts first (judged by their placeholders), then the placeholders themselves
+function render(template, values) {
+  const fill = text => text.replace(PLACEHOLDER, (_, field, fallback) => {
+    const value = values[field];
+    if (!isEmpty(value)) return String(value);
+    return fallback != null ? fill(fallback) : '';
+  });
+
+  const withOptionals = template.replace(OPTIONAL, (_, part) => {
+    const fields = [...part.matchAll(PLACEHOLDER)];
+    return fields.some(([, field, fallback]) => isEmpty(values[field]) && fallback == null) ? '' : part;
+  });
+
+  return fill(withOptionals)
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line.trim())
+    .join('\n');
+}
+
+// Custom templates win over the preset; a missing one falls back to the preset's
+function getTemplates(config) {
+  const preset = PRESETS[config.streamFormat] || PRESETS[DEFAULT_PRESET];
+  return {
+    name: config.streamNameTemplate || preset.name,
+    title: config.streamTitleTemplate || preset.title,
+  };
+}
+
+// Config value → template string or null (too long / empty)
+function sanitizeTemplate(value) {
+  if (typeof value !== 'string') return null;
+  const template = value.replace(/\r\n?/g, '\n').trim();
+  return template && template.length <= MAX_TEMPLATE_LENGTH ? template : null;
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  render,
+  getTemplates,
+  sanitizeTemplate,
+};
@@ -0,0 +1,95 @@
+const upstream = require('./upstream');
+
+// .torrent metadata: download from the index (Nyaa /download/<id>.torrent etc.) and read the file list
+//
+// Only the fields Stremio needs are kept: { name, files: [{ path, length }], totalSize }.
+// File order is the torrent's own order, so an index into `files` is Stremio's fileIdx.
+
+const TIMEOUT = 8000;
+const MAX_TORRENT_SIZE = 5 * 1024 * 1024;
+
+// Bencode → JS values; byte strings stay Buffers (the "pieces" hashes aren't text)
+function decodeBencode(buffer) {
+  let pos = 0;
+
+  function readUntil(char) {
+    const end = buffer.indexOf(char, pos);
+    if (end === -1) throw new Error('bencode: unexpected end of data');
+    const text = buffer.toString('latin1', pos, end);
+    pos = end + 1;
+    return text;
+  }
+
+  function next() {
+    const c = String.fromCharCode(buffer[pos]);
+    if (c === 'i') {
+      pos++;
+      return parseInt(readUntil('e'), 10);
+    }
+    if (c === 'l') {
+      pos++;
+      const list = [];
+      while (buffer[pos] !== 0x65) list.push(next());
+      pos++;
+      return list;
+    }
+    if (c === 'd') {
+      pos++;
+      const dict = {};
+      while (buffer[pos] !== 0x65) {
+        const key = next().toString('utf8');
+        dict[key] = next();
+      }
+      pos++;
+      return dict;
+    }
+    if (c >= '0' && c <= '9') {
+      const length = parseInt(readUntil(':'), 10);
+      const value = buffer.subarray(pos, pos + length);
+      if (value.length !== length) throw new Error('bencode: truncated string');
+      pos += length;
+      return value;
+    }
+    throw new Error(`bencode: unexpected "${c}" at ${pos}`);
+  }
+
+  return next();
+}
+
+function text(value) {
+  return Buffer.isBuffer(value) ? value.toString('utf8') : '';
+}
+
+// .torrent buffer → { name, files: [{ path, length }], totalSize }
+function parseTorrent(buffer) {
+  const info = decodeBencode(buffer)?.info;
+  if (!info) throw new Error('torrent: no info dictionary');
+  const name = text(info['name.utf-8'] || info.name);
+
+  // Single-file torrent: the name is the file
+  const files = Array.isArray(info.files)
+    ? info.files.map(f => ({
+      path: [name, ...(f['path.utf-8'] || f.path || []).map(text)].join('/'),
+      length: f.length || 0,
+    }))
+    : [{ path: name, length: info.length || 0 }];
+
+  return { name, files, totalSize: files.reduce((sum, f) => sum + f.length, 0) };
+}
+
+// Each index host gets its own limiter/breaker ("torrent:nyaa.si")
+async function fetchTorrent(url) {
+  const host = new URL(url).hostname;
+  const res = await upstream.client(`torrent:${host}`).get(url, {
+    responseType: 'arraybuffer',
+    timeout: TIMEOUT,
+    maxContentLength: MAX_TORRENT_SIZE,
+  });
+  return parseTorrent(Buffer.from(res.data));
+}
+
+module.exports = {
+  decodeBencode,
+  parseTorrent,
+  fetchTorrent,
+};
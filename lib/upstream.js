@@ -0,0 +1,234 @@
+const axios = require('axios');
+const metrics = require('./metrics');
+
+// Upstream guard: every outgoing request to a known host goes through one axios adapter that adds
+//   - coalescing       identical in-flight requests share one promise
+//   - concurrency      a global per-host limit, extra requests wait in a queue
+//   - retry            exponential backoff on 429/5xx/network errors, honoring Retry-After
+//   - circuit breaker  after repeated failures the host is skipped for a while (callers serve stale cache)
+
+const HOSTS = {
+  nyaa: { concurrency: 3 },
+  animetosho: { concurrency: 2 },
+  tokyotosho: { concurrency: 2 },
+  kitsu: { concurrency: 4 },
+  // AniList GraphQL queries are POSTs but read-only, so they can be shared too
+  anilist: { concurrency: 2, coalescePost: true },
+  cinemeta: { concurrency: 4 },
+  realdebrid: { concurrency: 4 },
+  alldebrid: { concurrency: 4 },
+  premiumize: { concurrency: 4 },
+  torbox: { concurrency: 4 },
+  // .torrent file downloads ("torrent:nyaa.si")
+  torrent: { concurrency: 3 },
+  // Offline anime database downloads (lib/animedb.js)
+  github: { concurrency: 2 },
+};
+
+const MAX_RETRIES = 2;
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 10000;
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN = 60000;
+
+const baseAdapter = axios.getAdapter(axios.defaults.adapter);
+
+const requestDuration = metrics.histogram('upstream_request_duration_seconds', 'Upstream HTTP call latency by host and outcome');
+
+function circuitOpenError(host, retryIn) {
+  const err = new Error(`${host} circuit open, retry in ${Math.ceil(retryIn / 1000)}s`);
+  err.code = 'ECIRCUITOPEN';
+  return err;
+}
+
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => { active--; next(); });
+  }
+
+  return {
+    run: fn => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); }),
+    get active() { return active; },
+    get queued() { return queue.length; },
+  };
+}
+
+// closed → (THRESHOLD failed requests in a row) → open → (COOLDOWN) → half-open: one trial request decides
+function createBreaker(host) {
+  let failures = 0;
+  let openedAt = 0;
+  let trial = false;
+
+  return {
+    check() {
+      if (!openedAt) return;
+      const waited = Date.now() - openedAt;
+      if (waited < BREAKER_COOLDOWN || trial) throw circuitOpenError(host, BREAKER_COOLDOWN - waited);
+      trial = true;
+    },
+    success() {
+      if (openedAt) console.log(`🔌 ${host}: circuit closed`);
+      failures = 0;
+      openedAt = 0;
+      trial = false;
+    },
+    // Trial request ended without telling anything about the host (canceled)
+    release() {
+      trial = false;
+    },
+    failure() {
+      failures++;
+      trial = false;
+      if (failures >= BREAKER_THRESHOLD) {
+        if (!openedAt) console.log(`🔌 ${host}: ⚠️  circuit open after ${failures} failures`);
+        openedAt = Date.now();
+      }
+    },
+    get state() {
+      if (!openedAt) return 'closed';
+      return Date.now() - openedAt < BREAKER_COOLDOWN ? 'open' : 'half-open';
+    },
+  };
+}
+
+// Upstream trouble (worth a retry and counted by the breaker) vs. our own bad request
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return err.code !== 'ERR_CANCELED';
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function getRetryAfter(err) {
+  const header = err.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) && ms >= 0 ? ms : null;
+}
+
+function backoffDelay(err, attempt) {
+  const exponential = BACKOFF_BASE * 2 ** attempt + Math.random() * BACKOFF_BASE;
+  return Math.min(getRetryAfter(err) ?? exponential, BACKOFF_MAX);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Credentials are part of the key so two users never share a debrid response
+function requestKey(config) {
+  const auth = config.headers?.Authorization || config.headers?.authorization || '';
+  const url = axios.getUri(config);
+  const data = typeof config.data === 'string' ? config.data : '';
+  return `${config.method}|${url}|${data}|${auth}`;
+}
+
+const hosts = new Map();
+
+function getHost(name) {
+  if (hosts.has(name)) return hosts.get(name);
+  // "nyaa:nyaa.si" - separate limiter/breaker per mirror, settings of the "nyaa" profile
+  const options = HOSTS[name.split(':')[0]] || { concurrency: 4 };
+  const host = {
+    name,
+    options,
+    limiter: createLimiter(options.concurrency),
+    breaker: createBreaker(name),
+    inFlight: new Map(),
+    lastSuccess: null,
+    lastError: null,
+  };
+  hosts.set(name, host);
+  return host;
+}
+
+async function send(host, config) {
+  // Non-idempotent POSTs (add torrent, unrestrict) only retry on 429 - the request wasn't processed
+  const idempotent = config.method === 'get' || host.options.coalescePost;
+
+  for (let attempt = 0; ; attempt++) {
+    host.breaker.check();
+    try {
+      const res = await host.limiter.run(() => requestDuration.time({ host: host.name }, () => baseAdapter(config)));
+      host.breaker.success();
+      host.lastSuccess = Date.now();
+      return res;
+    } catch (err) {
+      if (!isRetryable(err)) {
+        // An HTTP answer (401, 404...) proves the host is up - also ends a half-open trial;
+        // a canceled request says nothing either way, it only releases the trial slot
+        if (err.response) host.breaker.success();
+        else host.breaker.release();
+        throw err;
+      }
+      host.lastError = { at: Date.now(), message: err.response?.status ? `HTTP ${err.response.status}` : err.message };
+      const status = err.response?.status;
+      // One failure per request, once its retries are used up; a half-open trial isn't retried
+      if (attempt >= MAX_RETRIES || (!idempotent && status !== 429) || host.breaker.state !== 'closed') {
+        host.breaker.failure();
+        throw err;
+      }
+      const delay = backoffDelay(err, attempt);
+      console.log(`🔁 ${host.name}: ${status || err.code || err.message}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function createAdapter(name) {
+  const host = getHost(name);
+  return config => {
+    const shareable = config.method === 'get' || (config.method === 'post' && host.options.coalescePost);
+    if (!shareable) return send(host, config);
+
+    const key = requestKey(config);
+    if (host.inFlight.has(key)) return host.inFlight.get(key);
+    const promise = send(host, config).finally(() => host.inFlight.delete(key));
+    host.inFlight.set(key, promise);
+    return promise;
+  };
+}
+
+// axios instance for a named upstream host; extra defaults (baseURL, timeout) are passed through
+function client(name, defaults = {}) {
+  return axios.create({ ...defaults, adapter: createAdapter(name) });
+}
+
+// Same idea one level up: share a whole async operation (e.g. a multi-query search) by key
+const inFlight = new Map();
+
+function coalesce(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+function isCircuitOpen(name) {
+  return hosts.has(name) && hosts.get(name).breaker.state === 'open';
+}
+
+// Snapshot for logs / health checks
+function getStats() {
+  return [...hosts.values()].map(h => ({
+    host: h.name,
+    circuit: h.breaker.state,
+    active: h.limiter.active,
+    queued: h.limiter.queued,
+    inFlight: h.inFlight.size,
+    lastSuccess: h.lastSuccess && new Date(h.lastSuccess).toISOString(),
+    lastError: h.lastError && { at: new Date(h.lastError.at).toISOString(), message: h.lastError.message },
+  }));
+}
+
+module.exports = {
+  client,
+  coalesce,
+  isCircuitOpen,
+  getStats,
+};
@@ -17,8 +17,19 @@ async function downloadLoadingVideo() {
 downloadLoadingVideo();
 const express = require('express');
 const path = require('path');
-const { si } = require('nyaapi');
 const cron = require('node-cron');
+const debrid = require('./lib/debrid');
+const { LANGUAGE_CODES, parseReleaseName, coversEpisode } = require('./lib/parser');
+const i18n = require('./lib/i18n');
+const { DEFAULT_WEIGHTS, rankTorrents } = require('./lib/ranking');
+const cacheStore = require('./lib/cache');
+const torrentSources = require('./lib/sources');
+const upstream = require('./lib/upstream');
+const secure = require('./lib/secure');
+const metrics = require('./lib/metrics');
+const torrentFiles = require('./lib/torrent');
+const animeDb = require('./lib/animedb');
+const templates = require('./lib/templates');
 
 const PORT = process.env.PORT || 7000;
 const BASE_URL = (process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
@@ -28,32 +39,346 @@ console.log('  PORT:', PORT);
 console.log('  BASE_URL:', BASE_URL);
 
 // ============================================================
-// CACHES
+// USER CONFIG (encoded in the first URL segment)
 // ============================================================
-const nameCache = new Map();       // kitsu/imdb ID → { names[], year }
-const NAME_CACHE_TTL = 24 * 60 * 60 * 1000; // 24h - names don't change
+// /<config>/manifest.json where <config> is base64url(JSON).
+// Legacy URLs carry a bare RD key or "nord" and still work.
+const DEFAULT_CONFIG = {
+  debrid: debrid.DEFAULT_PROVIDER,                          // realdebrid | alldebrid | premiumize | torbox
+  debridKey: null,                                          // debrid API key, null = magnets only
+  resolutions: ['1080p'],                                   // preferred resolutions, in order
+  preferredGroups: ['SubsPlease', 'Erai-raws', 'EMBER', 'ASW'],
+  blockedGroups: [],
+  maxResults: 20,
+  includeBatches: true,                                     // batch/complete packs for single episodes
+  hideUncached: false,                                      // hide torrents not yet cached on debrid
+  prefetchEpisodes: 1,                                      // next episodes converted on debrid after /play, 0 = off
+  debridCleanupDays: 0,                                     // delete torrents the addon added to RealDebrid after N days, 0 = off
+  videoCodecs: [],                                          // preferred codecs, in order (HEVC, AVC, AV1)
+  strictCodecs: false,                                      // drop releases with other codecs
+  preferDualAudio: false,
+  audioLanguages: [],                                       // preferred audio, in order (ja, en, cs, ...)
+  subtitleLanguages: [],                                    // preferred subtitles, in order; "none" = raws
+  strictLanguages: false,                                   // drop releases without a preferred language
+  preferBD: false,                                          // BD over WEB
+  preferNewestVersion: true,                                // v2 over v1
+  minSeeders: 1,
+  minSizeGB: null,                                          // single-episode size limits
+  maxSizeGB: null,
+  weights: {},                                              // overrides of ranking DEFAULT_WEIGHTS
+  debug: false,                                             // show ranking reasons in stream titles
+  streamFormat: templates.DEFAULT_PRESET,                   // stream name/title preset: default | compact | detailed | tv
+  streamNameTemplate: null,                                 // custom templates over the preset (lib/templates.js)
+  streamTitleTemplate: null,
+  sources: torrentSources.DEFAULT_SOURCES,                  // nyaa | animetosho | tokyotosho
+  nyaaMirrors: torrentSources.SOURCES.nyaa.DEFAULT_MIRRORS, // Nyaa domains, tried in order
+  trackers: [],                                             // extra trackers for magnet-mode streams
+  anilistToken: null,                                       // AniList access token: "Continue watching" catalog
+  anilistSync: false,                                       // update AniList progress after a successful /play
+  language: i18n.DEFAULT_LANGUAGE,                          // addon texts: cs | en (lib/i18n)
+};
+const PREFETCH_MAX_EPISODES = 3;
+const DEBRID_CLEANUP_MAX_DAYS = 365;
+
+function toStringList(value, fallback) {
+  if (!Array.isArray(value)) return fallback;
+  return value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+}
+
+function toNonEmpty(list, fallback) {
+  return list.length ? list : fallback;
+}
+
+// ['EN', 'cz', 'xx'] → ['en', 'cs']; "none" (raws) only where allowed
+function toLanguageList(value, allowNone = false) {
+  return [...new Set(toStringList(value, [])
+    .map(l => l.toLowerCase().replace(/^cz$/, 'cs'))
+    .filter(l => LANGUAGE_CODES.includes(l) || (allowNone && l === 'none')))];
+}
+
+function toBool(value, fallback) {
+  return typeof value === 'boolean' ? value : fallback;
+}
+
+function toNumber(value, fallback, min, max) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+// { resolution: 500, bogus: 'x' } → { resolution: 500 }
+function toWeights(value) {
+  if (!value || typeof value !== 'object') return {};
+  return Object.fromEntries(Object.entries(value)
+    .filter(([k, v]) => k in DEFAULT_WEIGHTS && Number.isFinite(parseFloat(v)))
+    .map(([k, v]) => [k, parseFloat(v)]));
+}
+
+function sanitizeConfig(raw) {
+  const c = raw && typeof raw === 'object' ? raw : {};
+  // Older configs only had rdKey (always RealDebrid)
+  const key = c.debridKey ?? c.rdKey;
+  return {
+    debrid: debrid.getProvider(c.debrid) ? c.debrid : DEFAULT_CONFIG.debrid,
+    debridKey: typeof key === 'string' && key.trim() && key !== 'nord' ? key.trim() : null,
+    resolutions: toStringList(c.resolutions, DEFAULT_CONFIG.resolutions),
+    preferredGroups: toStringList(c.preferredGroups, DEFAULT_CONFIG.preferredGroups),
+    blockedGroups: toStringList(c.blockedGroups, DEFAULT_CONFIG.blockedGroups),
+    maxResults: Math.round(toNumber(c.maxResults, DEFAULT_CONFIG.maxResults, 1, 100)),
+    includeBatches: toBool(c.includeBatches, DEFAULT_CONFIG.includeBatches),
+    hideUncached: toBool(c.hideUncached, DEFAULT_CONFIG.hideUncached),
+    prefetchEpisodes: Math.round(toNumber(c.prefetchEpisodes, DEFAULT_CONFIG.prefetchEpisodes, 0, PREFETCH_MAX_EPISODES)),
+    debridCleanupDays: Math.round(toNumber(c.debridCleanupDays, DEFAULT_CONFIG.debridCleanupDays, 0, DEBRID_CLEANUP_MAX_DAYS)),
+    videoCodecs: toStringList(c.videoCodecs, DEFAULT_CONFIG.videoCodecs),
+    strictCodecs: toBool(c.strictCodecs, DEFAULT_CONFIG.strictCodecs),
+    preferDualAudio: toBool(c.preferDualAudio, DEFAULT_CONFIG.preferDualAudio),
+    audioLanguages: toLanguageList(c.audioLanguages),
+    subtitleLanguages: toLanguageList(c.subtitleLanguages, true),
+    strictLanguages: toBool(c.strictLanguages, DEFAULT_CONFIG.strictLanguages),
+    preferBD: toBool(c.preferBD, DEFAULT_CONFIG.preferBD),
+    preferNewestVersion: toBool(c.preferNewestVersion, DEFAULT_CONFIG.preferNewestVersion),
+    minSeeders: Math.round(toNumber(c.minSeeders, DEFAULT_CONFIG.minSeeders, 0, 10000)),
+    minSizeGB: toNumber(c.minSizeGB, DEFAULT_CONFIG.minSizeGB, 0, 1000) || null,
+    maxSizeGB: toNumber(c.maxSizeGB, DEFAULT_CONFIG.maxSizeGB, 0, 1000) || null,
+    weights: toWeights(c.weights),
+    debug: toBool(c.debug, DEFAULT_CONFIG.debug),
+    streamFormat: c.streamFormat in templates.PRESETS ? c.streamFormat : DEFAULT_CONFIG.streamFormat,
+    streamNameTemplate: templates.sanitizeTemplate(c.streamNameTemplate),
+    streamTitleTemplate: templates.sanitizeTemplate(c.streamTitleTemplate),
+    sources: toNonEmpty(toStringList(c.sources, []).filter(id => torrentSources.getSource(id)), DEFAULT_CONFIG.sources),
+    nyaaMirrors: toNonEmpty(toStringList(c.nyaaMirrors, [])
+      .map(d => d.replace(/^https?:\/\//, '').replace(/\/.*$/, '')).filter(Boolean), DEFAULT_CONFIG.nyaaMirrors),
+    trackers: toStringList(c.trackers, DEFAULT_CONFIG.trackers).filter(t => /^(?:udp|https?|wss?):\/\//i.test(t)),
+    anilistToken: typeof c.anilistToken === 'string' && c.anilistToken.trim() ? c.anilistToken.trim() : null,
+    anilistSync: toBool(c.anilistSync, DEFAULT_CONFIG.anilistSync),
+    language: i18n.LANGUAGES.includes(c.language) ? c.language : DEFAULT_CONFIG.language,
+  };
+}
 
-const nyaaCache = new Map();
-const NYAA_CACHE_TTL = 30 * 60 * 1000;
+// Config → sealed token (encrypted with CONFIG_SECRET, see lib/secure.js)
+// Only values that differ from DEFAULT_CONFIG are stored, which keeps the URLs short
+function encodeConfig(config) {
+  const changed = Object.entries(config)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_CONFIG[key]));
+  return secure.seal(Object.fromEntries(changed));
+}
 
-const rdCache = new Map();
-const RD_CACHE_TTL = 60 * 60 * 1000;
+// Legacy segments (base64 JSON, bare RD key, "nord") are still accepted for existing installs,
+// new URLs are always sealed tokens
+function isLegacyConfig(segment) {
+  return !secure.isSealed(segment);
+}
 
-function isCacheValid(entry, ttl) {
-  return entry && Date.now() - entry.timestamp < ttl;
+function decodeConfig(segment) {
+  if (!segment || segment === 'nord') return sanitizeConfig({});
+  if (secure.isSealed(segment)) {
+    const config = secure.unseal(segment);
+    if (!config) console.error('Config decode error: invalid or foreign token');
+    return sanitizeConfig(config);
+  }
+  // base64url of '{"' always starts with "eyJ" - RD keys are uppercase alphanumerics
+  if (!segment.startsWith('eyJ')) return sanitizeConfig({ debrid: 'realdebrid', debridKey: segment });
+  try {
+    return sanitizeConfig(JSON.parse(Buffer.from(segment, 'base64url').toString('utf8')));
+  } catch (err) {
+    console.error('Config decode error:', err.message);
+    return sanitizeConfig({});
+  }
 }
 
+// ============================================================
+// CACHES
+// ============================================================
+// Backend: CACHE_BACKEND=memory (default) | file (+ CACHE_DIR) - see lib/cache.js
+// Bump NAME_CACHE_VERSION when name filters change so persisted names are re-resolved
+const NAME_CACHE_VERSION = 5;
+// Expired names stay around for a week as a fallback while Kitsu/Cinemeta/AniList are down
+const nameCache = cacheStore.createCache(`names-v${NAME_CACHE_VERSION}`, {   // kitsu/imdb ID → { names[], year }
+  ttl: 24 * 60 * 60 * 1000, // 24h - names don't change
+  staleTtl: 7 * 24 * 60 * 60 * 1000,
+  maxSize: 5000,
+});
+
+// Stale Nyaa results are served instantly while a background search refreshes them
+const nyaaCache = cacheStore.createCache('nyaa', {
+  ttl: 30 * 60 * 1000,
+  staleTtl: 6 * 60 * 60 * 1000,
+  maxSize: 2000,
+});
+
+const debridCache = cacheStore.createCache('debrid', {   // provider + magnet + episode + key → direct URL
+  ttl: 60 * 60 * 1000,
+  maxSize: 2000,
+});
+
+const debridAvailabilityCache = cacheStore.createCache('debrid-availability', {   // provider + info-hash → cached on debrid (true/false)
+  ttl: 30 * 60 * 1000,
+  maxSize: 10000,
+});
+
+// Parsed .torrent files (file list for fileIdx) - a torrent's content never changes
+const torrentMetaCache = cacheStore.createCache('torrent-meta', {   // info-hash → { name, files[], totalSize }
+  ttl: 7 * 24 * 60 * 60 * 1000,
+  maxSize: 5000,
+});
+
+// Catalog pages and meta (episode lists) - stale ones are served while refreshing
+const catalogCache = cacheStore.createCache('catalog', {   // catalog id + extra + config → metas[]
+  ttl: 30 * 60 * 1000,
+  staleTtl: 6 * 60 * 60 * 1000,
+  maxSize: 500,
+});
+
+const metaCache = cacheStore.createCache('meta', {   // kitsu ID + language → meta
+  ttl: 6 * 60 * 60 * 1000,
+  staleTtl: 24 * 60 * 60 * 1000,
+  maxSize: 2000,
+});
+
+const kitsuIdCache = cacheStore.createCache('kitsu-ids', {   // mal:<id> / title:<name> → Kitsu preview | null
+  ttl: 30 * 24 * 60 * 60 * 1000,
+  maxSize: 10000,
+});
+
+// Release picked from a stream list, for next-episode prefetching on /play
+const playContextCache = cacheStore.createCache('play-context', {   // info-hash → { type, seriesId, group, resolution, ... }
+  ttl: 24 * 60 * 60 * 1000,
+  maxSize: 5000,
+});
+
+// Episodes already prefetched for an account - replays and seeking don't start them again
+const prefetchCache = cacheStore.createCache('prefetch', {   // key fingerprint + series + episode → true
+  ttl: 60 * 60 * 1000,
+  maxSize: 5000,
+});
+
+// Torrents the addon added to debrid accounts, for debridCleanupDays - persisted on every backend;
+// the API key only as a sealed token, and only for accounts with cleanup on
+const debridOwnedCache = cacheStore.createCache('debrid-owned', {   // provider + key fingerprint → { provider, cleanupDays, sealedKey, torrents: [{ id, addedAt }] }
+  ttl: (DEBRID_CLEANUP_MAX_DAYS + 30) * 24 * 60 * 60 * 1000,
+  maxSize: 10000,
+  persist: true,
+});
+
+// AniList user ID of a token (the list query needs it) - keyed by the token's fingerprint
+const anilistViewerCache = cacheStore.createCache('anilist-viewer', {   // token fingerprint → user ID
+  ttl: 7 * 24 * 60 * 60 * 1000,
+  maxSize: 1000,
+});
+
+// Episodes already synced to AniList - replays and seeking don't send the same update again
+const anilistSyncCache = cacheStore.createCache('anilist-sync', {   // token fingerprint + episode ID → true
+  ttl: 6 * 60 * 60 * 1000,
+  maxSize: 5000,
+});
+
+console.log(`  CACHE: ${cacheStore.BACKEND}`);
+
 cron.schedule('*/30 * * * *', () => {
-  const now = Date.now();
-  for (const [k, v] of nameCache) if (now - v.timestamp > NAME_CACHE_TTL) nameCache.delete(k);
-  for (const [k, v] of nyaaCache) if (now - v.timestamp > NYAA_CACHE_TTL) nyaaCache.delete(k);
-  for (const [k, v] of rdCache) if (now - v.timestamp > RD_CACHE_TTL) rdCache.delete(k);
-  console.log('🗑️  Cache cleanup done');
+  const removed = cacheStore.getAllCaches().map(c => `${c.namespace}:${c.prune()}`);
+  console.log(`🗑️  Cache cleanup done (${removed.join(' ')})`);
+});
+
+// ============================================================
+// METRICS (Prometheus, exposed on /metrics)
+// ============================================================
+// Upstream call latency/errors are recorded in lib/upstream.js
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route, method and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route');
+const debridConversions = metrics.histogram('debrid_conversion_duration_seconds',
+  'Debrid magnet to direct link conversion time by provider and outcome', [1, 2.5, 5, 10, 20, 30, 60, 120]);
+const playResponses = metrics.counter('play_responses_total', 'Play requests answered with a redirect, the loading video or an error');
+metrics.gauge('debrid_jobs', 'Debrid conversion jobs by state (converting, ready, failed)', () => {
+  const counts = { converting: 0, ready: 0, failed: 0 };
+  for (const job of debridJobs.values()) counts[job.state]++;
+  return Object.entries(counts).map(([state, n]) => [{ state }, n]);
 });
+const prefetches = metrics.counter('debrid_prefetch_total', 'Next-episode prefetches by outcome (ready, not_found, failed)');
+const anilistSyncs = metrics.counter('anilist_sync_total', 'AniList progress updates by outcome (updated, unchanged, unmapped, failed)');
+
+metrics.collectedCounter('cache_lookups_total', 'Cache lookups by cache and result (hit, stale, miss)', () =>
+  cacheStore.getAllCaches().flatMap(c => Object.entries(c.stats).map(([result, n]) => [{ cache: c.namespace, result }, n])));
+metrics.gauge('cache_entries', 'Entries per cache', () =>
+  cacheStore.getAllCaches().map(c => [{ cache: c.namespace }, c.size]));
+metrics.gauge('upstream_circuit_open', 'Upstream circuit breaker state (1 = open or half-open)', () =>
+  upstream.getStats().map(s => [{ host: s.host }, s.circuit === 'closed' ? 0 : 1]));
 
 // ============================================================
 // ANIME OFFLINE DATABASE (IMDb → MAL mapping)
 // ============================================================
+// Kitsu/IMDb IDs are mapped locally first (lib/animedb.js) - no Cinemeta call or fuzzy AniList search.
+// A daily job refreshes the dataset once it's missing or a week old; until a download finishes the
+// saved one (or, without a file, the online lookups) is used. Downloading on boot is opt-in
+// (ANIME_DB_REFRESH_ON_START=true) - without a persistent disk every cold start would fetch it.
+const ANIME_DB_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const ANIME_DB_REFRESH_ON_START = process.env.ANIME_DB_REFRESH_ON_START === 'true';
+const MAX_NAMES = 5;   // every name is a separate set of Nyaa queries
+
+function refreshAnimeDb() {
+  if (!animeDb.isStale(ANIME_DB_MAX_AGE)) return Promise.resolve();
+  return animeDb.refresh().catch(err => console.error('Anime DB refresh error:', err.message));
+}
+
+animeDb.load().then(() => {
+  if (ANIME_DB_REFRESH_ON_START) refreshAnimeDb();
+});
+
+cron.schedule('30 4 * * *', refreshAnimeDb);
+
+// Title + synonyms usable as Nyaa queries, same-name variants ("Title (2019)") only once
+function getSearchableNames(titles) {
+  const seen = new Set();
+  return titles.filter(n => {
+    if (!n || !isLatinScript(n) || isJunkTitle(n)) return false;
+    const key = normalizeTitle(n);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_NAMES);
+}
+
+// Same result shape as getNamesFromKitsu / getNamesFromIMDb, null when the ID isn't mapped
+function resolveFromAnimeDb(type, fullId) {
+  if (!animeDb.isLoaded()) return null;
+  const { season, episode } = parseEpisodeAndSeason(fullId);
+
+  let record = null;
+  let episodeOffset = 0;
+  let partOffset = 0;
+  if (fullId.startsWith('kitsu:')) {
+    record = animeDb.findById('kitsu', fullId.split(':')[1]);
+    if (record) episodeOffset = animeDb.getEpisodeOffset(record);
+  } else if (fullId.startsWith('tt')) {
+    const match = animeDb.findByImdb(fullId.split(':')[0], type === 'movie' ? null : season, episode);
+    record = match?.record || null;
+    partOffset = match?.partOffset || 0;
+    // Later part of a split TVDB season: the entry's own numbering ("Part 2 - 01" for S2E13)
+    if (record) episodeOffset = partOffset ? -partOffset : animeDb.getEpisodeOffset(record);
+  }
+  if (!record) return null;
+
+  // Season entries after the first: the show's main title helps with "Show S2 - 05" names
+  const franchise = animeDb.getFranchise(record);
+  const idx = franchise.indexOf(record);
+  const root = idx > 0 ? franchise[0] : null;
+  const names = getSearchableNames([record.title, ...record.synonyms, root?.title]);
+  if (!names.length) return null;
+
+  const excludeKeywords = idx >= 0
+    ? getOtherSeasonKeywords(franchise.map(r => ({ title: { romaji: r.title } })), idx) : [];
+  console.log(`Anime DB: ${fullId} → "${record.title}" (${record.format} ${record.year}) offset=${episodeOffset}`);
+  return {
+    names,
+    year: record.year,
+    format: record.format,
+    otherYears: animeDb.getOtherEditionYears(record),
+    episodeOffset,
+    excludeKeywords,
+    anilistId: record.anilist,
+    partOffset,
+    offline: true,
+  };
+}
+
 // ============================================================
 // NAME RESOLVERS
 // ============================================================
@@ -68,14 +393,129 @@ function isLatinScript(str) {
 }
 
 // Filter out junk titles: Mini Anime, Recap, Special, OVA, PV, etc.
+// OVA/special titles are fine - standalone OVA entries are named that way
 function isJunkTitle(str) {
-  return /mini anime|recap|ova|special|pv|promo|preview|part \d|●|\?\?/i.test(str);
+  return /mini anime|recap|pv|promo|preview|part \d|●|\?\?/i.test(str);
+}
+
+// ============================================================
+// ANILIST SEASONS (SEQUEL/PREQUEL chain)
+// ============================================================
+const ANILIST_URL = 'https://graphql.anilist.co';
+const ANILIST_SEASON_FORMATS = ['TV', 'TV_SHORT', 'ONA'];
+const ANILIST_MAX_CHAIN = 10;
+
+const ANILIST_MEDIA_QUERY = `
+  query ($id: Int) {
+    Media(id: $id, type: ANIME) {
+      id format episodes
+      title { romaji english }
+      synonyms
+      startDate { year }
+      relations { edges { relationType node { id type format } } }
+    }
+  }
+`;
+
+// Metadata upstreams - concurrency limits, retries and circuit breakers live in lib/upstream.js
+const anilistHttp = upstream.client('anilist');
+const kitsuHttp = upstream.client('kitsu');
+const cinemetaHttp = upstream.client('cinemeta');
+
+async function fetchAniListMedia(id) {
+  const res = await anilistHttp.post(ANILIST_URL, { query: ANILIST_MEDIA_QUERY, variables: { id } }, { timeout: 8000 });
+  return res.data?.data?.Media || null;
+}
+
+// Next/previous TV season of a media entry (skips movies, OVAs, specials)
+function getSeasonRelation(media, relationType) {
+  return media.relations?.edges?.find(e =>
+    e.relationType === relationType && e.node?.type === 'ANIME' && ANILIST_SEASON_FORMATS.includes(e.node.format)
+  )?.node?.id || null;
+}
+
+// AniList media → all TV seasons of the franchise in order [S1, S2, ...]
+async function getAniListSeasonChain(anchorId) {
+  const byId = new Map();
+  const load = async id => {
+    if (!byId.has(id)) byId.set(id, await fetchAniListMedia(id));
+    return byId.get(id);
+  };
+
+  let root = await load(anchorId);
+  if (!root) return [];
+  for (let i = 0; i < ANILIST_MAX_CHAIN; i++) {
+    const prevId = getSeasonRelation(root, 'PREQUEL');
+    const prev = prevId && await load(prevId);
+    if (!prev) break;
+    root = prev;
+  }
+
+  const chain = [root];
+  for (let i = 0; i < ANILIST_MAX_CHAIN; i++) {
+    const nextId = getSeasonRelation(chain[chain.length - 1], 'SEQUEL');
+    const next = nextId && !chain.some(m => m.id === nextId) && await load(nextId);
+    if (!next) break;
+    chain.push(next);
+  }
+  return chain;
+}
+
+// Words that identify a season by its title rather than its number:
+// "Kimetsu no Yaiba: Yuukaku-hen" minus "Kimetsu no Yaiba" → "yuukaku-hen"
+function getSeasonKeyword(title, baseTitle) {
+  if (!title || !baseTitle) return null;
+  const lower = title.toLowerCase();
+  const base = baseTitle.toLowerCase();
+  if (!lower.startsWith(base)) return null;
+  const rest = lower.slice(base.length).replace(/^[\s:\-–]+/, '').trim();
+  // Numbered seasons are handled by the season-marker filter
+  if (rest.length < 4 || /^(season \d+|\d+(st|nd|rd|th) season|part \d+|s\d+|\d+|[ivx]+)$/i.test(rest)) return null;
+  return rest;
+}
+
+// chain + index of the requested entry → titles of the other seasons to reject in search
+function getOtherSeasonKeywords(chain, targetIdx) {
+  const base = chain[0];
+  const target = chain[targetIdx];
+  const ownTitles = [target.title?.romaji, target.title?.english].filter(Boolean).map(t => t.toLowerCase());
+  const keywords = chain.flatMap((m, i) => i === targetIdx ? [] : [
+    getSeasonKeyword(m.title?.romaji, base.title?.romaji),
+    getSeasonKeyword(m.title?.english, base.title?.english),
+  ]).filter(kw => kw && isLatinScript(kw) && !ownTitles.some(t => t.includes(kw)));
+  return [...new Set(keywords)];
+}
+
+// anchor media + Stremio season → { media, episodeOffset, excludeKeywords }
+// season == null → the anchor itself is the wanted entry (Kitsu IDs are per season)
+async function resolveAniListSeason(anchorId, season) {
+  const chain = await getAniListSeasonChain(anchorId);
+  if (!chain.length) return null;
+
+  let targetIdx = season == null ? chain.findIndex(m => m.id === anchorId) : season - 1;
+  if (targetIdx < 0) targetIdx = 0;
+  if (targetIdx >= chain.length) {
+    console.log(`AniList: only ${chain.length} seasons in chain, season ${season} → last`);
+    targetIdx = chain.length - 1;
+  }
+
+  // Absolute numbering: episodes of all previous seasons
+  const episodeOffset = chain.slice(0, targetIdx).reduce((sum, m) => sum + (m.episodes || 0), 0);
+  const excludeKeywords = getOtherSeasonKeywords(chain, targetIdx);
+  console.log(`AniList: season ${targetIdx + 1}/${chain.length} "${chain[targetIdx].title?.romaji}" offset=${episodeOffset} exclude=${JSON.stringify(excludeKeywords)}`);
+  return { media: chain[targetIdx], episodeOffset, excludeKeywords };
+}
+
+// Latin romaji/english titles of an AniList entry usable as Nyaa queries
+function getAniListNames(media) {
+  return [media.title?.romaji, media.title?.english]
+    .filter(n => n && isLatinScript(n) && !isJunkTitle(n));
 }
 
 // Kitsu ID → names
 async function getNamesFromKitsu(kitsuId) {
   try {
-    const res = await axios.get(`https://kitsu.io/api/edge/anime/${kitsuId}`, { timeout: 8000 });
+    const res = await kitsuHttp.get(`https://kitsu.io/api/edge/anime/${kitsuId}`, { timeout: 8000 });
     const attrs = res.data?.data?.attributes;
     if (!attrs) return { names: [], year: null };
 
@@ -86,42 +526,96 @@ async function getNamesFromKitsu(kitsuId) {
     ].filter(n => n && isLatinScript(n) && !isJunkTitle(n));
 
     const year = attrs.startDate ? parseInt(attrs.startDate.substring(0, 4)) : null;
-    console.log(`Kitsu: names=${JSON.stringify(names)} year=${year}`);
-    return { names: [...new Set(names)], year };
+    const format = KITSU_FORMATS[attrs.subtype] || null;
+    console.log(`Kitsu: names=${JSON.stringify(names)} year=${year} format=${format}`);
+
+    // Kitsu entries are per season already - AniList only adds synonyms, the franchise context
+    // and the years of same-name entries (remakes); the entry from the same year is ours
+    let seasonInfo = null;
+    let otherYears = [];
+    let anchor = null;
+    if (names.length) {
+      const list = await searchAniList(names[0]).catch(() => []);
+      const sameTitle = list.filter(m => getMediaTitles(m).includes(normalizeTitle(names[0])));
+      anchor = sameTitle.find(m => m.startDate?.year === year) || sameTitle[0];
+      if (anchor) {
+        names.push(...(anchor.synonyms || []));
+        otherYears = getOtherEditionYears(list, anchor, year);
+        if (format !== 'MOVIE') seasonInfo = await resolveAniListSeason(anchor.id, null).catch(() => null);
+      }
+    }
+
+    return {
+      names: getSearchableNames(names),
+      year,
+      format,
+      otherYears,
+      episodeOffset: seasonInfo?.episodeOffset || 0,
+      excludeKeywords: seasonInfo?.excludeKeywords || [],
+      anilistId: anchor?.id || null,
+    };
   } catch (err) {
     console.error('Kitsu error:', err.message);
     return { names: [], year: null };
   }
 }
 
+// Kitsu subtype → AniList format
+const KITSU_FORMATS = { TV: 'TV', movie: 'MOVIE', OVA: 'OVA', ONA: 'ONA', special: 'SPECIAL', music: 'MUSIC' };
+
+// "Fruits Basket (2019)" → "fruits basket" - AniList tells same-name entries apart by a year suffix
+function normalizeTitle(title) {
+  return (title || '').replace(/\(\d{4}\)/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function getMediaTitles(media) {
+  return [media.title?.romaji, media.title?.english].filter(Boolean).map(normalizeTitle);
+}
+
+// Start years of other AniList entries sharing a title with `chosen` (remakes, reboots, same-name films)
+function getOtherEditionYears(mediaList, chosen, year = chosen.startDate?.year) {
+  const titles = getMediaTitles(chosen);
+  return [...new Set(mediaList
+    .filter(m => m.id !== chosen.id && getMediaTitles(m).some(t => titles.includes(t)))
+    .map(m => m.startDate?.year)
+    .filter(y => y && y !== year))];
+}
+
+async function searchAniList(search) {
+  const gql = `
+    query ($search: String) {
+      Page(page: 1, perPage: 10) {
+        media(search: $search, type: ANIME, sort: SEARCH_MATCH) {
+          id
+          format
+          title { romaji english native }
+          synonyms
+          startDate { year }
+        }
+      }
+    }
+  `;
+  const res = await anilistHttp.post(ANILIST_URL, { query: gql, variables: { search } }, { timeout: 8000 });
+  return res.data?.data?.Page?.media || [];
+}
+
 // IMDb ID → Cinemeta (get English name) → AniList (get all title variants)
-async function getNamesFromIMDb(type, imdbId) {
+// For series the AniList SEQUEL chain maps the Stremio season to its own AniList entry
+async function getNamesFromIMDb(type, imdbId, season = 1) {
   try {
     // Step 1: get English name from Cinemeta
-    const res = await axios.get(`https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`, { timeout: 8000 });
+    const res = await cinemetaHttp.get(`https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`, { timeout: 8000 });
     const name = res.data?.meta?.name;
     if (!name) { console.log(`Cinemeta: no name for ${imdbId}`); return { names: [], year: null }; }
-    console.log(`Cinemeta: "${name}" for ${imdbId}`);
+    // "2019", "2019–2021" or "2019–"
+    const cinemetaYear = parseInt(String(res.data.meta.year || res.data.meta.releaseInfo || '').slice(0, 4)) || null;
+    console.log(`Cinemeta: "${name}" (${cinemetaYear}) for ${imdbId}`);
 
     // Step 2: search AniList with that name to get romaji + all variants
-    const gql = `
-      query ($search: String) {
-        Page(page: 1, perPage: 10) {
-          media(search: $search, type: ANIME, sort: SEARCH_MATCH) {
-            format
-            title { romaji english native }
-            startDate { year }
-          }
-        }
-      }
-    `;
-    const aRes = await axios.post('https://graphql.anilist.co',
-      { query: gql, variables: { search: name } }, { timeout: 8000 });
-
-    const mediaList = aRes.data?.data?.Page?.media || [];
+    const mediaList = await searchAniList(name);
     if (!mediaList.length) {
       console.log(`AniList: no results for "${name}", using Cinemeta name only`);
-      return { names: [name], year: null };
+      return { names: [name], year: cinemetaYear, format: type === 'movie' ? 'MOVIE' : null };
     }
 
     // Find best AniList match: must have similar title to Cinemeta name
@@ -141,13 +635,39 @@ async function getNamesFromIMDb(type, imdbId) {
       return { m, score };
     });
 
-    // Pick best scoring match with correct format
-    scored.sort((a, b) => b.score - a.score);
+    // Pick best scoring match with correct format; equally named entries (remakes) → Cinemeta's year
+    const yearMatch = m => cinemetaYear && m.startDate?.year === cinemetaYear ? 1 : 0;
+    scored.sort((a, b) => b.score - a.score || yearMatch(b.m) - yearMatch(a.m));
     const best = scored.find(({ m, score }) =>
       score > 0.3 && (isSeriesRequest ? (m.format === 'TV' || m.format === 'TV_SHORT') : m.format === 'MOVIE')
     )?.m || scored[0]?.m || mediaList[0];
 
     console.log(`AniList: best match format=${best.format} title="${best.title?.romaji || best.title?.english}"`);
+    const otherYears = getOtherEditionYears(mediaList, best);
+
+    // Step 3 (series): walk SEQUEL/PREQUEL relations to the requested season's entry
+    // Season 0 (specials) belongs to the whole franchise, so it keeps the main names
+    if (isSeriesRequest && best.id && season !== 0) {
+      const seasonInfo = await resolveAniListSeason(best.id, season).catch(err => {
+        console.error('AniList relations error:', err.message);
+        return null;
+      });
+      if (seasonInfo) {
+        // S2+: season's own titles first (fansubs name sequels after them), Cinemeta name as fallback
+        const seasonNames = getAniListNames(seasonInfo.media);
+        const names = season > 1 ? [...seasonNames, name] : [name, ...seasonNames];
+        console.log(`AniList: resolved names=${JSON.stringify([...new Set(names)])} for "${name}" S${season}`);
+        return {
+          names: [...new Set(names)],
+          year: seasonInfo.media.startDate?.year || null,
+          format: seasonInfo.media.format,
+          otherYears,
+          episodeOffset: seasonInfo.episodeOffset,
+          excludeKeywords: seasonInfo.excludeKeywords,
+          anilistId: seasonInfo.media.id,
+        };
+      }
+    }
 
     const anilistRomaji = best.title?.romaji;
     const anilistEnglish = best.title?.english;
@@ -160,7 +680,9 @@ async function getNamesFromIMDb(type, imdbId) {
     ].filter(Boolean);
 
     console.log(`AniList: resolved names=${JSON.stringify([...new Set(names)])} for "${name}"`);
-    return { names: [...new Set(names)], year: best.startDate?.year || null };
+    // The match is the requested entry only for movies and S1 - a later season without its chain isn't
+    const anilistId = !isSeriesRequest || season === 1 ? best.id : null;
+    return { names: [...new Set(names)], year: best.startDate?.year || cinemetaYear, format: best.format || null, otherYears, anilistId };
   } catch (err) {
     console.error('IMDb→AniList error:', err.message);
     return { names: [], year: null };
@@ -168,32 +690,57 @@ async function getNamesFromIMDb(type, imdbId) {
 }
 
 
+// Which lookup resolveAnimeNames uses for an ID (shown in debug traces)
+function getNameResolver(fullId) {
+  if (fullId.startsWith('kitsu:')) return 'kitsu';
+  if (fullId.startsWith('tt')) return 'imdb';
+  return 'cinemeta-fallback';
+}
+
 // Master resolver: given full Stremio ID → anime names
-async function resolveAnimeNames(type, fullId) {
+// Concurrent requests for the same ID (several clients opening one show) share one lookup
+async function resolveAnimeNames(type, fullId, trace = null) {
   const cacheKey = `names:${type}:${fullId}`;
-  const cached = nameCache.get(cacheKey);
-  if (isCacheValid(cached, NAME_CACHE_TTL)) {
+  const cached = nameCache.getEntry(cacheKey);
+  if (trace) trace.resolver = { id: getNameResolver(fullId), cache: cached ? (cached.stale ? 'stale' : 'hit') : 'miss' };
+  if (cached && !cached.stale) {
     console.log(`Names: ✅ Cache hit for ${fullId}`);
-    return cached.data;
+    return cached.value;
   }
+  return upstream.coalesce(cacheKey, () => fetchAnimeNames(type, fullId, cacheKey, cached?.value));
+}
 
+async function fetchAnimeNames(type, fullId, cacheKey, staleResult) {
   const baseId = fullId.split(':')[0]; // e.g. "kitsu:12345:1" → "kitsu"
 
-  let result = { names: [], year: null };
+  // episodeOffset: episodes of previous seasons (absolute numbering)
+  // excludeKeywords: titles of the franchise's other seasons
+  // anilistId: AniList entry of the requested season (progress sync), partOffset: episodes of the
+  //            earlier parts of a split TVDB season (offline database only)
+  // Offline database first - the online lookups only for IDs it doesn't map
+  let result = resolveFromAnimeDb(type, fullId);
 
-  if (fullId.startsWith('kitsu:')) {
+  if (result) {
+    // Mapped offline
+  } else if (fullId.startsWith('kitsu:')) {
     const kitsuId = fullId.split(':')[1];
     result = await getNamesFromKitsu(kitsuId);
   } else if (fullId.startsWith('tt')) {
     const imdbId = baseId;
-    result = await getNamesFromIMDb(type, imdbId);
+    result = await getNamesFromIMDb(type, imdbId, parseEpisodeAndSeason(fullId).season);
   } else {
     // Unknown prefix - try Cinemeta → AniList
-    result = await getNamesFromIMDb(type, baseId);
+    result = await getNamesFromIMDb(type, baseId, parseEpisodeAndSeason(fullId).season);
+  }
+
+  // Lookup failed (upstream down) - an expired result beats no names at all
+  if (!result.names.length && staleResult?.names?.length) {
+    console.log(`Names: ♻️  Using stale names for ${fullId}`);
+    return staleResult;
   }
 
   // Always cache, even empty (but with short TTL if empty to allow retry)
-  nameCache.set(cacheKey, { data: result, timestamp: result.names.length ? Date.now() : Date.now() - NAME_CACHE_TTL + 60000 });
+  nameCache.set(cacheKey, result, result.names.length ? undefined : 60000);
   return result;
 }
 
@@ -201,27 +748,88 @@ async function resolveAnimeNames(type, fullId) {
 // kitsu:12345:5        → season 1, episode 5
 // tt1234567:1:5        → season 1, episode 5
 // tt1234567:2:5        → season 2, episode 5
+// tt1234567:0:2        → season 0 (specials), episode 2
 function parseEpisodeAndSeason(fullId) {
   const parts = fullId.split(':');
   if (fullId.startsWith('kitsu:')) {
     return { season: 1, episode: parseInt(parts[2]) || 1 };
   } else {
     if (parts.length >= 3) {
-      return { season: parseInt(parts[1]) || 1, episode: parseInt(parts[2]) || 1 };
+      const season = parseInt(parts[1]);
+      return { season: Number.isNaN(season) ? 1 : season, episode: parseInt(parts[2]) || 1 };
     }
     return { season: 1, episode: parseInt(parts[1]) || 1 };
   }
 }
 
+// "kitsu:12345:5" → "kitsu:12345", "tt1234567:1:5" → "tt1234567"
+function getSeriesId(fullId) {
+  const parts = fullId.split(':');
+  return fullId.startsWith('kitsu:') ? parts.slice(0, 2).join(':') : parts[0];
+}
+
+// Inverse of parseEpisodeAndSeason - the Stremio ID of another episode of the same show
+function buildEpisodeId(seriesId, season, episode) {
+  return seriesId.startsWith('kitsu:') ? `${seriesId}:${episode}` : `${seriesId}:${season}:${episode}`;
+}
+
 // Keep old name for compatibility
 function parseEpisode(fullId) {
   return parseEpisodeAndSeason(fullId).episode;
 }
 
+// AniList formats of standalone OVA/ONA/special entries (Kitsu IDs of OVAs, web specials)
+const SPECIAL_FORMATS = ['OVA', 'ONA', 'SPECIAL'];
+
+// Specials mode: Stremio's season 0 or an entry that is itself an OVA/special
+function isSpecialsRequest(season, format) {
+  return season === 0 || SPECIAL_FORMATS.includes(format);
+}
+
+// ============================================================
+// RELEASE LANGUAGES
+// ============================================================
+const NYAA_CATEGORIES = torrentSources.SOURCES.nyaa.CATEGORIES;
+
+// Release name → parsed fields; subtitles the name doesn't mention follow from where it was found:
+// Nyaa's raw category has none, its English-translated category and the other indexes English
+function parseTorrentName(t) {
+  const parsed = parseReleaseName(t.name);
+  if (t.category === NYAA_CATEGORIES.raw) Object.assign(parsed, { raw: true, subtitles: [] });
+  if (!parsed.subtitles.length && !parsed.raw && t.category !== NYAA_CATEGORIES.nonEnglish) parsed.subtitles = ['en'];
+  return parsed;
+}
+
+// English-translated always; non-English when a preferred language isn't English/Japanese,
+// raws when "none" is among the preferred subtitles
+function getNyaaCategories(config) {
+  const wanted = [...config.audioLanguages, ...config.subtitleLanguages];
+  return [
+    NYAA_CATEGORIES.english,
+    ...wanted.some(l => !['en', 'ja', 'none'].includes(l)) ? [NYAA_CATEGORIES.nonEnglish] : [],
+    ...config.subtitleLanguages.includes('none') ? [NYAA_CATEGORIES.raw] : [],
+  ];
+}
+
+// 🔊 JA+EN | 💬 EN,MULTI - shown on every stream
+function formatLanguages(parsed) {
+  const subtitles = parsed.raw ? 'RAW' : parsed.subtitles.join(',').toUpperCase() || '?';
+  return `🔊 ${parsed.audio.join('+').toUpperCase()} | 💬 ${subtitles}`;
+}
+
 // ============================================================
 // NYAA SEARCH
 // ============================================================
-function buildSearchVariants(animeName, episode) {
+function getInfoHash(magnet) {
+  return magnet?.match(/btih:([a-zA-Z0-9]+)/i)?.[1]?.toLowerCase() || null;
+}
+
+// Episode queries per name - most likely first (padded numbers, then specials, then unpadded)
+const MAX_EPISODE_QUERIES = 4;
+
+// absoluteEpisode: same episode counted from S1 ("Name 30" for S2E05 after a 25-ep S1)
+// specials: also "Name OVA 2", "Name SP02", "Name Special 2"; season 0 skips the plain numbers
+function buildSearchVariants(animeName, episode, absoluteEpisode = null, specials = null) {
   // Clean: remove season/part tags and colons
   const clean = animeName
     .replace(/Season \d+/i, '').replace(/Part \d+/i, '')
@@ -231,124 +839,180 @@ function buildSearchVariants(animeName, episode) {
   const base = [...new Set([animeName, clean].filter(Boolean))];
 
   if (episode != null) {
-    const epPad = String(episode).padStart(2, '0');
-    return base.flatMap(n => [`${n} ${epPad}`, `${n} ${String(episode)}`]);
+    const episodes = [...new Set([episode, absoluteEpisode].filter(e => e != null))];
+    const numbered = pad => (specials === 'season0' ? [] : episodes.flatMap(ep =>
+      base.map(n => `${n} ${pad ? String(ep).padStart(2, '0') : String(ep)}`)));
+    const special = specials ? base.flatMap(n =>
+      [`${n} OVA ${episode}`, `${n} SP${String(episode).padStart(2, '0')}`, `${n} Special ${episode}`]
+    ) : [];
+    return [...new Set([...numbered(true), ...special, ...numbered(false)])].slice(0, MAX_EPISODE_QUERIES);
   }
   return base;
 }
 
-async function searchNyaaForName(animeName, episode, season = 1) {
-  const cacheKey = `nyaa:${animeName}:${episode}:s${season}`;
-  const cached = nyaaCache.get(cacheKey);
-  if (isCacheValid(cached, NYAA_CACHE_TTL)) {
+// options.includeBatches  - keep batch/complete packs covering the episode
+// options.absoluteEpisode - also accept absolute numbering (S2E05 → 30)
+// options.excludeKeywords - titles of the franchise's other seasons (from AniList)
+// options.year, options.format, options.otherYears - release year / AniList format of the requested
+//                           entry and years of same-name entries (remakes) to tell editions apart
+// options.specials        - specials mode (season 0 / OVA entry): match "OVA 2", "SP02", "Special 2"
+// options.sources         - enabled torrent index sources, options.nyaaMirrors - Nyaa domains
+// options.nyaaCategories  - Nyaa categories to search (English-translated by default)
+// options.trace           - debug trace object: bypasses the cache and records queries/dropped torrents
+async function searchNyaaForName(animeName, episode, season = 1, options = {}) {
+  const { includeBatches = true, absoluteEpisode = null, excludeKeywords = [] } = options;
+  const { sources = torrentSources.DEFAULT_SOURCES, nyaaMirrors = [], nyaaCategories = [] } = options;
+  const { year = null, format = null, otherYears = [], specials = false } = options;
+  const cacheKey = `nyaa:${animeName}:${episode}:a${absoluteEpisode ?? ''}:s${season}:b${includeBatches ? 1 : 0}`
+    + `:x${excludeKeywords.join('|')}:src${sources.join(',')}:m${nyaaMirrors.join(',')}:c${nyaaCategories.join(',')}`
+    + `:y${year ?? ''}:f${format ?? ''}:o${otherYears.join(',')}:sp${specials ? 1 : 0}`;
+  // Traces must see the real queries, so they never read the cache
+  if (options.trace) return fetchNyaaForName(animeName, episode, season, options);
+
+  const cached = nyaaCache.getEntry(cacheKey);
+  if (cached && !cached.stale) {
     console.log(`Nyaa: ✅ Cache hit "${animeName}" ep${episode}`);
-    return cached.data;
+    return cached.value;
+  }
+
+  // Identical searches in flight (background refresh included) share one set of queries
+  const refresh = () => upstream.coalesce(cacheKey, async () => {
+    const fresh = await fetchNyaaForName(animeName, episode, season, options);
+    nyaaCache.set(cacheKey, fresh);
+    return fresh;
+  });
+
+  if (cached) {
+    // Stale-while-revalidate: answer now, refresh for the next request
+    // (also covers outages - an open circuit just fails the refresh and the stale results stay)
+    console.log(`Nyaa: ♻️  Stale hit "${animeName}" ep${episode}, refreshing in background`);
+    refresh().catch(err => console.error('Nyaa: refresh failed, keeping stale results:', err.message));
+    return cached.value;
   }
 
-  // Search both with episode number AND just the name (catches batch packs, alternate naming)
-  const variants = buildSearchVariants(animeName, episode);
-  const nameOnlyVariants = buildSearchVariants(animeName, null);
-  const allVariants = [...new Set([...variants, ...nameOnlyVariants])];
-  console.log(`Nyaa: 🔍 ${allVariants.length} variants for "${animeName}" ep${episode}`);
+  return refresh().catch(err => {
+    console.error('Nyaa search error:', err.message);
+    return [];
+  });
+}
 
-  const seenHashes = new Set();
-  const allTorrents = [];
+// Query every enabled source with every search variant and filter the results - no caching
+// Throws when every query failed, so an outage never replaces good cached results
+async function fetchNyaaForName(animeName, episode, season = 1, options = {}) {
+  const { includeBatches = true, absoluteEpisode = null, excludeKeywords = [] } = options;
+  const { sources = torrentSources.DEFAULT_SOURCES, nyaaMirrors = [], nyaaCategories = [], trace = null } = options;
+  const { year = null, format = null, otherYears = [], specials = false } = options;
 
-  const results = await Promise.allSettled(
-    allVariants.map(q => si.searchAll(q, { filter: 0, category: '1_2' }).catch(() => []))
-  );
+  // Episode queries first; just the name (catches batch packs, alternate naming) only when
+  // those matched fewer than ENOUGH_RESULTS torrents
+  const specialsMode = specials ? (season === 0 ? 'season0' : 'entry') : null;
+  const variants = buildSearchVariants(animeName, episode, absoluteEpisode, specialsMode);
+  const nameOnlyVariants = buildSearchVariants(animeName, null).filter(q => !variants.includes(q));
 
-  for (const r of results) {
-    if (r.status !== 'fulfilled') continue;
-    for (const t of (r.value || [])) {
-      const hash = t.magnet?.match(/btih:([a-zA-Z0-9]+)/i)?.[1]?.toLowerCase();
-      if (hash && !seenHashes.has(hash)) { seenHashes.add(hash); allTorrents.push(t); }
+  const seenHashes = new Set();
+  const results = [];
+
+  // One round of queries → its new (deduped) torrents that match the episode
+  async function runQueries(queries) {
+    console.log(`Nyaa: 🔍 ${queries.length} queries for "${animeName}" ep${episode}`);
+    const settled = await Promise.allSettled(
+      queries.map(q => torrentSources.searchSources(q, sources, { mirrors: nyaaMirrors, categories: nyaaCategories }))
+    );
+    results.push(...settled);
+    trace?.queries.push(...queries.map((query, i) => ({
+      name: animeName,
+      query,
+      hits: settled[i].status === 'fulfilled' ? settled[i].value.length : 0,
+      error: settled[i].status === 'rejected' ? settled[i].reason?.message : undefined,
+    })));
+
+    const torrents = [];
+    for (const r of settled) {
+      if (r.status !== 'fulfilled') continue;
+      for (const t of (r.value || [])) {
+        const hash = getInfoHash(t.magnet);
+        if (hash && !seenHashes.has(hash)) { seenHashes.add(hash); torrents.push(t); }
+      }
     }
+
+    // Parse every release name once - all filters and the stream sort use these fields
+    for (const t of torrents) t.parsed = parseTorrentName(t);
+    return torrents.filter(t => {
+      const reason = getDropReason(t);
+      if (reason) trace?.dropped.push({ stage: 'filter', name: t.name, reason });
+      return !reason;
+    });
   }
 
-  // Filter out junk torrents (Mini Anime, Recap, OVA, etc.)
-  const junkPattern = /mini anime|mini-anime|recap|\bova\b|\bspecial\b|ncop|nced|\bpv\b|preview|trailer/i;
-  let filtered = allTorrents.filter(t => !junkPattern.test(t.name || ''));
+  const episodes = [parseInt(episode), absoluteEpisode].filter(e => e != null);
 
-  if (episode != null) {
-    const ep = parseInt(episode);
-    const epPad = String(ep).padStart(2, '0');
-
-    function isBatch(name) {
-      // Detect batch/complete packs: "01-12", "01~28", "Complete", "S01 Batch", "Season 01"
-      if (/\bcomplete\b|\bbatch\b/i.test(name)) return true;
-      // Range like "01-12" or "01~28" or "01 - 28"
-      const rangeMatch = name.match(/(\d+)\s*[-~]\s*(\d+)/);
-      if (rangeMatch) {
-        const from = parseInt(rangeMatch[1]);
-        const to = parseInt(rangeMatch[2]);
-        if (to > from && ep >= from && ep <= to) return true;
-      }
-      return false;
+  // Specials: "OVA 2" / "SP02" / "S00E02" by their own number, a lone "OVA" is episode 1;
+  // standalone OVA entries are also released with plain numbering ("Title OVA - 02", "Title - 02")
+  function coversSpecial(parsed) {
+    if (parsed.special?.number != null) return episodes.includes(parsed.special.number);
+    if (parsed.special && parsed.episode == null && !parsed.episodeRange) return parseInt(episode) === 1;
+    return season !== 0 && parsed.episode != null && coversEpisode(parsed, episodes);
+  }
+
+  // Reason a torrent doesn't belong to the requested episode, null when it does
+  function getDropReason(t) {
+    const { parsed } = t;
+    // Junk torrents (Mini Anime, Recap, NCOP, PV, etc.)
+    if (parsed.extra) return `junk (${parsed.extra})`;
+    // OVAs/specials only when asked for - and season 0 wants nothing else
+    if (parsed.special && !specials) return `special (${parsed.special.kind})`;
+    if (season === 0 && !parsed.special) return 'not a special';
+
+    // Movies: no episode numbers, seasons or ranges - those are the TV series
+    if (format === 'MOVIE' && (parsed.episode != null || parsed.episodeRange || parsed.season != null)) {
+      return 'TV release (movie requested)';
     }
+    if (['TV', 'TV_SHORT', 'ONA'].includes(format) && parsed.movie) return 'movie release (series requested)';
 
-    function matchesEpisode(name) {
-      const norm = name.replace(/[\[\]\(\)_.\-]/g, ' ').replace(/\s+/g, ' ');
-      const normLower = norm.toLowerCase();
-      const p = epPad;
-      return normLower.includes(' ' + p + ' ')
-          || normLower.includes(' ' + p + 'v')
-          || normLower.includes('e' + p + ' ')
-          || normLower.includes('ep' + p + ' ')
-          || normLower.trimEnd().endsWith(' ' + p)
-          || normLower.trimEnd().endsWith('e' + p);
+    // Same-name entries: an explicit year of another edition, or (movies) a different year
+    if (parsed.year && parsed.year !== year) {
+      if (otherYears.includes(parsed.year)) return `other edition (${parsed.year})`;
+      if (format === 'MOVIE' && year && Math.abs(parsed.year - year) > 1) return `year ${parsed.year} ≠ ${year}`;
     }
 
-    filtered = filtered.filter(t => {
-      const name = t.name || '';
-      return matchesEpisode(name) || isBatch(name);
-    });
-  }
+    // Single episode, batch range covering it, or a "Complete"/"Season 2" pack without a range
+    const single = specials ? coversSpecial(parsed) : parsed.episode != null && coversEpisode(parsed, episodes);
+    if (episode != null
+      && !single
+      && !(includeBatches && parsed.batch && (!parsed.episodeRange || coversEpisode(parsed, episodes)))) {
+      return parsed.batch && !includeBatches ? 'batch (disabled)' : `episode mismatch (${parsed.special?.number ?? parsed.episode ?? '-'})`;
+    }
 
-  // Filter out wrong seasons
-  if (season != null) {
-    // Known arc/subtitle keywords that indicate S2+ of popular anime
-    // If we're looking for S1, reject these; if S2+ accept them
-    const s2plusKeywords = [
-      'entertainment district', 'mugen train', 'swordsmith',
-      'hashira training', 'infinity castle',
-      'phantom blood', 'battle tendency', 'stardust crusaders',
-      'diamond is unbreakable', 'golden wind', 'stone ocean',
-      'election arc', 'chimera ant', 'succession war',
-      'marineford', 'dressrosa', 'whole cake', 'wano',
-    ];
-
-    filtered = filtered.filter(t => {
-      const name = t.name || '';
-      const nameLower = name.toLowerCase();
-
-      // Reject explicit wrong season markers
-      const sMatch = name.match(/\bS(\d+)(?:E|\b)/i);
-      if (sMatch && parseInt(sMatch[1]) !== season) return false;
-      const seasonMatch = name.match(/\bSeason\s*(\d+)/i);
-      if (seasonMatch && parseInt(seasonMatch[1]) !== season) return false;
-      if (season !== 2 && /\b2nd\s*Season\b/i.test(name)) return false;
-      if (season !== 3 && /\b3rd\s*Season\b/i.test(name)) return false;
-      if (season !== 4 && /\b4th\s*Season\b/i.test(name)) return false;
-
-      // If looking for S1, reject torrents with known S2+ arc keywords
-      if (season === 1) {
-        if (s2plusKeywords.some(kw => nameLower.includes(kw))) return false;
+    // Season 0 numbering is Stremio's own - a release's "S2 OVA" can't be checked against it
+    if (season != null && season !== 0) {
+      // Explicit wrong season markers ("S2", "Season 2", "2nd Season")
+      // (S00Exx is a special of the franchise, fine for an OVA entry)
+      if (parsed.season != null && parsed.season !== season && !(specials && parsed.season === 0)) {
+        return `wrong season (S${parsed.season})`;
       }
 
-      return true;
-    });
+      // Torrents named after another season of the franchise ("Yuukaku-hen" when looking for S1)
+      const nameLower = (t.name || '').toLowerCase();
+      const keyword = excludeKeywords.find(kw => nameLower.includes(kw));
+      if (keyword) return `other season keyword "${keyword}"`;
+    }
+    return null;
   }
 
-  const sorted = filtered.sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
-  nyaaCache.set(cacheKey, { data: sorted, timestamp: Date.now() });
-  return sorted;
+  const matched = await runQueries(variants);
+  if (matched.length < ENOUGH_RESULTS && nameOnlyVariants.length) matched.push(...await runQueries(nameOnlyVariants));
+  if (results.every(r => r.status === 'rejected')) {
+    throw new Error(results[0]?.reason?.message || 'all torrent source queries failed');
+  }
+
+  return matched.sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
 }
 
-// Search Nyaa: try all names, always search all, merge and dedup results
-const MIN_RESULTS = 5; // if first name finds fewer than this, still try others
+// Search Nyaa: names in order (main title first), merge and dedup results; the remaining
+// names (and name-only queries) are skipped once this many matching torrents were found
+const ENOUGH_RESULTS = 10;
 
-async function searchNyaaAll(names, episode, season = 1) {
+async function searchNyaaAll(names, episode, season = 1, options = {}) {
   const tried = new Set();
   const seen = new Set();
   const combined = [];
@@ -357,17 +1021,17 @@ async function searchNyaaAll(names, episode, season = 1) {
     if (!name || tried.has(name)) continue;
     tried.add(name);
     console.log(`Nyaa: Searching "${name}" ep${episode} season${season}`);
-    const torrents = await searchNyaaForName(name, episode, season);
+    const torrents = await searchNyaaForName(name, episode, season, options);
     console.log(`Nyaa: Found ${torrents.length} results with "${name}"`);
 
     for (const t of torrents) {
-      const hash = t.magnet?.match(/btih:([a-zA-Z0-9]+)/i)?.[1]?.toLowerCase();
+      const hash = getInfoHash(t.magnet);
       if (hash && !seen.has(hash)) { seen.add(hash); combined.push(t); }
     }
 
-    // If we have enough results from first name, stop early
-    if (combined.length >= MIN_RESULTS && tried.size === 1) {
-      console.log(`Nyaa: ${combined.length} results from primary name, also trying fallbacks...`);
+    if (combined.length >= ENOUGH_RESULTS) {
+      console.log(`Nyaa: ${combined.length} results, skipping the remaining names`);
+      break;
     }
   }
 
@@ -377,62 +1041,320 @@ async function searchNyaaAll(names, episode, season = 1) {
 }
 
 // ============================================================
-// REALDEBRID
+// DEBRID
 // ============================================================
-async function getRDStream(magnet, apiKey) {
-  if (!apiKey || apiKey === 'nord') return null;
+// target = { season, episode, absoluteEpisode } of the wanted file, all null for movies
+// The API key is fingerprinted - file-backed caches must never write it to disk
+// Keyed by info-hash: the stream list, /play (rebuilt magnet) and prefetching must agree
+function debridCacheKey(provider, magnet, apiKey, target) {
+  const torrent = getInfoHash(magnet) || magnet;
+  return `${provider.id}:${torrent}:s${target.season ?? ''}e${target.episode ?? ''}_${secure.fingerprint(apiKey)}`;
+}
+
+// /play links carry "<infohash>.<signature>" instead of the full magnet; the signature covers
+// the episode query too, so a link can't be edited into a request for another file or torrent
+function playRefPayload(hash, target) {
+  return `${hash}|${target.season ?? ''}|${target.episode ?? ''}|${target.absoluteEpisode ?? ''}`;
+}
+
+function createPlayRef(magnet, target) {
+  const hash = getInfoHash(magnet);
+  return `${hash}.${secure.sign(playRefPayload(hash, target))}`;
+}
+
+// → magnet, null when the reference is malformed or the signature doesn't match
+function resolvePlayRef(ref, target) {
+  const [hash, signature] = String(ref).split('.');
+  if (!/^[a-f0-9]{40}$|^[a-z2-7]{32}$/.test(hash || '')) return null;
+  if (!secure.verify(playRefPayload(hash, target), signature)) return null;
+  return torrentSources.buildMagnet(hash);
+}
 
-  const cacheKey = `rd:${magnet}_${apiKey}`;
-  const cached = rdCache.get(cacheKey);
-  if (isCacheValid(cached, RD_CACHE_TTL)) { console.log('RD: ✅ Cache hit'); return cached.url; }
+// Instant availability for many info-hashes in one request
+// → Map(hash → true/false); hashes missing from the map are unknown (provider error)
+const DEBRID_AVAILABILITY_BATCH = 50;
 
-  const headers = { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/x-www-form-urlencoded' };
+async function checkDebridAvailability(provider, hashes, apiKey) {
+  const result = new Map();
+  if (!provider || !apiKey) return result;
 
+  const toCheck = [];
+  for (const hash of new Set(hashes.filter(Boolean))) {
+    const cached = debridAvailabilityCache.get(`${provider.id}:${hash}`);
+    if (cached !== undefined) result.set(hash, cached);
+    else toCheck.push(hash);
+  }
+  if (!toCheck.length) { console.log(`${provider.shortName}: ✅ Availability cache hit (${result.size})`); return result; }
+
+  const batch = toCheck.slice(0, DEBRID_AVAILABILITY_BATCH);
   try {
-    const add = await axios.post('https://api.real-debrid.com/rest/1.0/torrents/addMagnet',
-      `magnet=${encodeURIComponent(magnet)}`, { headers, timeout: 12000 });
-    const torrentId = add.data?.id;
-    if (!torrentId) return null;
-
-    const info = await axios.get(`https://api.real-debrid.com/rest/1.0/torrents/info/${torrentId}`, { headers, timeout: 10000 });
-    const files = info.data?.files || [];
-    if (!files.length) return null;
-
-    await axios.post(`https://api.real-debrid.com/rest/1.0/torrents/selectFiles/${torrentId}`,
-      `files=${files.map((_, i) => i + 1).join(',')}`, { headers, timeout: 10000 });
-
-    for (let i = 0; i < 10; i++) {
-      await new Promise(r => setTimeout(r, 2000));
-      const poll = await axios.get(`https://api.real-debrid.com/rest/1.0/torrents/info/${torrentId}`, { headers, timeout: 10000 });
-      const link = poll.data?.links?.[0];
-      if (link) {
-        const unrestrict = await axios.post('https://api.real-debrid.com/rest/1.0/unrestrict/link',
-          `link=${encodeURIComponent(link)}`, { headers, timeout: 10000 });
-        const url = unrestrict.data?.download;
-        if (url) { rdCache.set(cacheKey, { url, timestamp: Date.now() }); console.log('RD: ✅ Ready'); return url; }
-      }
+    const checked = await provider.checkCached(apiKey, batch);
+    for (const hash of batch) {
+      if (!checked.has(hash)) continue;
+      result.set(hash, checked.get(hash));
+      debridAvailabilityCache.set(`${provider.id}:${hash}`, checked.get(hash));
     }
-    return null;
+    console.log(`${provider.shortName}: ⚡ ${[...result.values()].filter(Boolean).length}/${result.size} cached`);
   } catch (err) {
-    console.error('RD error:', err.response?.status, err.response?.data?.error || err.message);
-    return null;
+    console.error(`${provider.name} availability error:`, err.response?.status, err.response?.data?.error || err.message);
+  }
+  return result;
+}
+
+// ── Torrent lifecycle: torrents the addon added are recorded per account (debridOwnedCache) and
+// deleted after config.debridCleanupDays by the cleanup cron. The record survives restarts and
+// carries the sealed API key, so the cleanup doesn't wait for the user to come back.
+function getDebridAccountKey(provider, apiKey) {
+  return `${provider.id}:${secure.fingerprint(apiKey)}`;
+}
+
+// Records from before the sealed key were a bare torrent list
+function getDebridAccount(key) {
+  const record = debridOwnedCache.get(key);
+  return Array.isArray(record) ? { torrents: record } : record || null;
+}
+
+// Called on every play: keeps cleanupDays (and the sealed key) in line with the current config
+function registerDebridAccount(provider, config) {
+  if (!provider.deleteTorrent || !config.debridKey) return;
+  const key = getDebridAccountKey(provider, config.debridKey);
+  debridOwnedCache.set(key, {
+    torrents: [],
+    ...getDebridAccount(key),
+    provider: provider.id,
+    cleanupDays: config.debridCleanupDays,
+    sealedKey: config.debridCleanupDays ? secure.seal({ apiKey: config.debridKey }) : null,
+  });
+}
+
+function trackDebridTorrent(provider, apiKey, torrentId) {
+  const key = getDebridAccountKey(provider, apiKey);
+  const account = getDebridAccount(key) || { provider: provider.id, cleanupDays: 0, sealedKey: null, torrents: [] };
+  const torrents = [...account.torrents.filter(t => t.id !== torrentId), { id: torrentId, addedAt: Date.now() }];
+  debridOwnedCache.set(key, { ...account, torrents });
+}
+
+async function cleanupDebridAccount(key, account, provider, apiKey) {
+  const cutoff = Date.now() - account.cleanupDays * 24 * 60 * 60 * 1000;
+  const expired = account.torrents.filter(t => t.addedAt < cutoff);
+  if (!expired.length) return 0;
+
+  const removed = new Set();
+  for (const t of expired) {
+    try {
+      await provider.deleteTorrent(apiKey, t.id);
+      removed.add(t.id);
+    } catch (err) {
+      // Already deleted by the user - nothing left to clean
+      if (err.response?.status === 404) removed.add(t.id);
+      else console.error(`${provider.shortName} cleanup: ${t.id} failed:`, err.message);
+    }
   }
+  // Re-read: plays during the cleanup may have added torrents
+  const current = getDebridAccount(key) || account;
+  debridOwnedCache.set(key, { ...current, torrents: current.torrents.filter(t => !removed.has(t.id)) });
+  return removed.size;
+}
+
+async function cleanupDebridTorrents() {
+  for (const key of debridOwnedCache.keys()) {
+    const account = getDebridAccount(key);
+    if (!account?.cleanupDays || !account.sealedKey) continue;
+    const provider = debrid.getProvider(account.provider);
+    // Sealed with another CONFIG_SECRET - waits for the next play to store the key again
+    const apiKey = secure.unseal(account.sealedKey)?.apiKey;
+    if (!provider?.deleteTorrent || !apiKey) continue;
+    const removed = await cleanupDebridAccount(key, account, provider, apiKey);
+    if (removed) console.log(`${provider.shortName}: 🧹 Deleted ${removed} torrents older than ${account.cleanupDays}d`);
+  }
+}
+
+cron.schedule('15 * * * *', () => {
+  cleanupDebridTorrents().catch(err => console.error('Debrid cleanup error:', err.message));
+});
+
+// Known provider error (err.debridError) → message in the user's language, null for anything else
+function getDebridErrorMessage(err, msg) {
+  return err?.debridError ? msg.debridErrors[err.code] || err.message : null;
+}
+
+// ── Conversion status registry: one job per debridCacheKey, from the first /play until a while
+// after it finished. state: converting → ready | failed; progress/speed/seeders come from
+// providers that report them (RealDebrid). Public ids are HMACs of the key (see /status/:job).
+// Failed jobs answer /play with their error until they expire, so a dead torrent isn't retried in a loop
+const DEBRID_JOB_KEEP = 10 * 60 * 1000;
+const DEBRID_JOB_RETRY = 2 * 60 * 1000;   // failures without a known cause may be retried sooner
+const debridJobs = new Map();     // debridCacheKey → job
+const debridJobIds = new Map();   // job id → debridCacheKey
+
+function getDebridJob(cacheKey) {
+  const job = debridJobs.get(cacheKey);
+  if (!job?.finishedAt) return job || null;
+  const keep = job.state === 'failed' && !job.error?.debridError ? DEBRID_JOB_RETRY : DEBRID_JOB_KEEP;
+  if (Date.now() - job.finishedAt < keep) return job;
+  debridJobs.delete(cacheKey);
+  debridJobIds.delete(job.id);
+  return null;
+}
+
+function startDebridJob(cacheKey, provider) {
+  const job = {
+    id: secure.sign(`job|${cacheKey}`),
+    provider: provider.id,
+    state: 'converting',
+    progress: null,
+    speed: null,
+    seeders: null,
+    file: null,
+    error: null,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    finishedAt: null,
+  };
+  debridJobs.set(cacheKey, job);
+  debridJobIds.set(job.id, cacheKey);
+  return job;
+}
+
+function updateDebridJob(job, status) {
+  for (const field of ['progress', 'speed', 'seeders', 'file']) {
+    if (status[field] != null) job[field] = status[field];
+  }
+  job.updatedAt = Date.now();
+}
+
+// err: null when the link is ready
+function finishDebridJob(job, err) {
+  job.state = err ? 'failed' : 'ready';
+  if (err) job.error = { code: err.code || 'error', message: err.message, debridError: !!err.debridError };
+  else job.progress = 100;
+  job.finishedAt = job.updatedAt = Date.now();
+}
+
+function pruneDebridJobs() {
+  for (const key of [...debridJobs.keys()]) getDebridJob(key);
+}
+
+// Public view of a job (/status/:job)
+function toJobStatus(job) {
+  return {
+    id: job.id,
+    provider: job.provider,
+    state: job.state,
+    progress: job.progress,
+    speed: job.speed,
+    seeders: job.seeders,
+    file: job.file && job.file.split('/').pop(),
+    error: job.error && { code: job.error.code, message: job.error.message },
+    startedAt: new Date(job.startedAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+  };
+}
+
+cron.schedule('*/10 * * * *', pruneDebridJobs);
+
+async function getDebridStream(provider, magnet, apiKey, target = {}) {
+  if (!provider || !apiKey) return null;
+
+  const cacheKey = debridCacheKey(provider, magnet, apiKey, target);
+  const cached = debridCache.get(cacheKey);
+  if (cached) { console.log(`${provider.shortName}: ✅ Cache hit`); return cached; }
+
+  // Double clicks / parallel players for the same file wait for the first conversion
+  return upstream.coalesce(cacheKey, async () => {
+    const started = Date.now();
+    const job = startDebridJob(cacheKey, provider);
+    const hooks = {
+      onAdded: id => trackDebridTorrent(provider, apiKey, id),
+      onProgress: status => updateDebridJob(job, status),
+    };
+    const url = await debrid.resolveStream(provider, apiKey, magnet, target, hooks).catch(err => {
+      debridConversions.observe({ provider: provider.id, outcome: 'error' }, (Date.now() - started) / 1000);
+      finishDebridJob(job, err);
+      throw err;
+    });
+    debridConversions.observe({ provider: provider.id, outcome: url ? 'ok' : 'failed' }, (Date.now() - started) / 1000);
+    finishDebridJob(job, url ? null : { code: 'conversion_failed', message: 'no playable link' });
+    if (url) { debridCache.set(cacheKey, url); console.log(`${provider.shortName}: ✅ Ready`); }
+    return url;
+  });
+}
+
+// ============================================================
+// MAGNET MODE (no debrid)
+// ============================================================
+// Native Stremio torrent streams: { infoHash, fileIdx, sources } instead of a magnet URL
+function getMagnetTrackers(magnet) {
+  return new URLSearchParams(magnet.split('?')[1] || '').getAll('tr');
+}
+
+// info-hash → { name, files[], totalSize } from the index's .torrent file, null when unavailable
+// Failures are remembered for 10 minutes so a dead link isn't fetched on every request
+async function getTorrentMetadata(t) {
+  const hash = getInfoHash(t.magnet);
+  if (!hash || !/^https?:\/\//i.test(t.torrent || '')) return null;
+  const cached = torrentMetaCache.get(hash);
+  if (cached !== undefined) return cached;
+
+  return upstream.coalesce(`torrent:${hash}`, async () => {
+    try {
+      const meta = await torrentFiles.fetchTorrent(t.torrent);
+      torrentMetaCache.set(hash, meta);
+      return meta;
+    } catch (err) {
+      console.log(`Torrent: ⚠️  ${t.torrent} failed: ${err.message}`);
+      torrentMetaCache.set(hash, null, 10 * 60 * 1000);
+      return null;
+    }
+  });
+}
+
+// Single-episode torrents and movies leave fileIdx out - Stremio plays the largest file.
+// Batch packs need the .torrent file list to find the episode.
+async function buildTorrentStream(t, target, config) {
+  const hash = getInfoHash(t.magnet);
+  const trackers = [...new Set([...getMagnetTrackers(t.magnet), ...config.trackers])];
+  const stream = {
+    infoHash: hash,
+    sources: [...trackers.map(tr => `tracker:${tr}`), `dht:${hash}`],
+    behaviorHints: { bingeGroup: getBingeGroup('anime-nyaa-torrent', t.parsed) },
+  };
+
+  if (t.parsed.batch && target.episode != null) {
+    const meta = await getTorrentMetadata(t);
+    const files = (meta?.files || []).map((f, id) => ({ id, path: f.path, bytes: f.length }));
+    const file = files.length ? debrid.pickEpisodeFile(files, target) : null;
+    if (file) {
+      stream.fileIdx = file.id;
+      stream.behaviorHints.filename = file.path.split('/').pop();
+      stream.behaviorHints.videoSize = file.bytes;
+    }
+  }
+  return stream;
 }
 
 // ============================================================
 // STREAM HANDLER
 // ============================================================
-async function handleStreamRequest(type, fullId, rdKey) {
-  console.log(`=== STREAM REQUEST === type=${type} id=${fullId}`);
+// Stremio auto-plays the next episode from the stream with the same bingeGroup,
+// so it carries the release group and resolution ("anime-nyaa-rd-subsplease-1080p")
+function getBingeGroup(prefix, parsed) {
+  return `${prefix}-${(parsed.group || 'unknown').toLowerCase()}-${parsed.resolution || 'unknown'}`;
+}
 
+// Stremio ID → ranked torrents for that episode (names → torrent search → ranking → debrid cache status)
+// Shared by the stream handler and next-episode prefetching; trace as in handleStreamRequest
+async function findEpisodeTorrents(type, fullId, config, trace = null) {
   const { season, episode } = parseEpisodeAndSeason(fullId);
   console.log(`Parsed season: ${season} episode: ${episode}`);
+  if (trace) trace.parsed = { season, episode };
 
   // Resolve anime names from ID
-  const { names, year } = await resolveAnimeNames(type, fullId);
+  const { names, year, format = null, otherYears = [], episodeOffset = 0, excludeKeywords = [], offline = false } = await resolveAnimeNames(type, fullId, trace);
+  if (trace) trace.names = { names, year, format, otherYears, episodeOffset, excludeKeywords, offline };
   if (!names.length) {
     console.log('Could not resolve anime names');
-    return { streams: [{ name: '❌ Nenalezeno', title: 'Nepodařilo se najít název anime', url: 'https://nyaa.si', behaviorHints: { notWebReady: true } }] };
+    return { names, episode, sorted: [] };
   }
 
   console.log(`Resolved names: ${JSON.stringify(names)}`);
@@ -441,72 +1363,655 @@ async function handleStreamRequest(type, fullId, rdKey) {
   const isMovie = type === 'movie';
   const searchEpisode = isMovie ? null : episode;
   const searchSeason = isMovie ? null : season;
+  const specials = !isMovie && isSpecialsRequest(season, format);
+  if (specials) console.log(`Specials mode (season ${season}, format ${format})`);
+
+  // Absolute number only when it differs (S2+ with a known episode count of earlier seasons)
+  const absoluteEpisode = searchEpisode != null && episodeOffset ? episodeOffset + searchEpisode : null;
+  if (absoluteEpisode) console.log(`Absolute episode: ${absoluteEpisode}`);
+  if (trace) trace.search = { season: searchSeason, episode: searchEpisode, absoluteEpisode, specials };
 
   // Search Nyaa across all name variants
-  const torrents = await searchNyaaAll(names, searchEpisode, searchSeason);
+  const torrents = await searchNyaaAll(names, searchEpisode, searchSeason, {
+    includeBatches: config.includeBatches,
+    absoluteEpisode,
+    excludeKeywords: isMovie ? [] : excludeKeywords,
+    year,
+    // Stremio's type wins: a Kitsu "special" opened as a movie is searched like a movie
+    format: isMovie ? 'MOVIE' : format,
+    otherYears,
+    specials,
+    sources: config.sources,
+    nyaaMirrors: config.nyaaMirrors,
+    nyaaCategories: getNyaaCategories(config),
+    trace,
+  });
   console.log(`Nyaa: total ${torrents.length} torrents after dedup`);
+  if (trace) trace.matched = torrents.length;
+
+  // Season/episode of the wanted file - /play and fileIdx use it to pick it out of batch packs
+  const target = searchEpisode != null
+    ? { season: searchSeason, episode: searchEpisode, absoluteEpisode: absoluteEpisode || null } : {};
+  if (!torrents.length) return { names, episode, target, specials, sorted: [] };
+
+  const provider = config.debridKey ? debrid.getProvider(config.debrid) : null;
+
+  // Rank by the user's rules (resolution, group, codec, size, seeders...)
+  for (const t of torrents) if (!t.parsed) t.parsed = parseTorrentName(t);
+  const { ranked, rejected } = rankTorrents(torrents.filter(t => t.magnet), config, { year });
+  if (rejected.length) console.log(`Ranking: ${rejected.length} torrents rejected by config filters`);
+  trace?.dropped.push(...rejected.map(r => ({ stage: 'ranking', name: r.torrent.name, reason: r.reason })));
+  const rankInfo = new Map(ranked.map(r => [r.torrent, r]));
+  let sorted = ranked.map(r => r.torrent);
+
+  // Debrid cache status for the top candidates: cached first, optionally hide the rest
+  let availability = new Map();
+  if (provider) {
+    availability = await checkDebridAvailability(provider,
+      sorted.slice(0, DEBRID_AVAILABILITY_BATCH).map(t => getInfoHash(t.magnet)), config.debridKey);
+    const isCached = t => availability.get(getInfoHash(t.magnet)) === true;
+    const isUncached = t => availability.get(getInfoHash(t.magnet)) === false;
+    if (config.hideUncached) {
+      trace?.dropped.push(...sorted.filter(isUncached).map(t => ({ stage: 'debrid', name: t.name, reason: 'not cached' })));
+      sorted = sorted.filter(t => !isUncached(t));
+    }
+    // Array.prototype.sort is stable, so the ranking above is kept within each group
+    sorted = sorted.sort((a, b) => (isCached(a) ? 0 : 1) - (isCached(b) ? 0 : 1));
+  }
 
-  if (!torrents.length) {
-    return { streams: [{ name: '⏳ Nenalezeno', title: `Ep ${episode} není na Nyaa.si\n${names[0]}`, url: 'https://nyaa.si', behaviorHints: { notWebReady: true } }] };
+  if (trace) {
+    trace.results = sorted.slice(0, config.maxResults).map(t => ({
+      name: t.name,
+      source: t.source,
+      seeders: t.seeders,
+      score: rankInfo.get(t).score,
+      reasons: rankInfo.get(t).reasons,
+      cached: availability.get(getInfoHash(t.magnet)) ?? null,
+    }));
   }
 
-  const hasRD = rdKey && rdKey !== 'nord';
+  return { names, episode, target, specials, provider, sorted, rankInfo, availability };
+}
+
+// Placeholder values for the stream name/title templates (lib/templates.js)
+// service: { provider, providerShort, icon, cache } - debrid state or magnet mode
+function getStreamFields(t, target, specials, service, msg) {
+  const { parsed } = t;
+  const pad = n => (n == null ? '' : String(n).padStart(2, '0'));
+  const range = parsed.episodeRange ? `${pad(parsed.episodeRange.from)}-${pad(parsed.episodeRange.to)}` : '';
+  return {
+    ...service,
+    name: t.name,
+    title: parsed.title,
+    group: parsed.group,
+    resolution: parsed.resolution,
+    codec: parsed.videoCodec,
+    audioCodec: parsed.audioCodec,
+    media: parsed.source,
+    version: parsed.version,
+    season: parsed.season ?? (specials ? null : 1),
+    episode: pad(parsed.episode ?? target.episode),
+    // No season marker in the release name → likely S1
+    seasonHint: parsed.season == null && !specials ? '[S1]' : '',
+    batch: parsed.batch ? `Batch${range ? ` ${range}` : ''}` : '',
+    size: t.filesize,
+    seeders: t.seeders,
+    seedersLabel: msg.seeders,
+    source: torrentSources.getSource(t.source)?.name || 'Nyaa',
+    languages: formatLanguages(parsed),
+  };
+}
 
-  // Preferred release groups in order
-  const GROUP_PRIORITY = ['SubsPlease', 'Erai-raws', 'EMBER', 'ASW'];
+// trace - optional object filled with every pipeline step (see createStreamTrace, /debug/stream)
+async function handleStreamRequest(type, fullId, config, trace = null) {
+  console.log(`=== STREAM REQUEST === type=${type} id=${fullId}`);
+  const msg = i18n.getMessages(config.language);
 
-  function getGroupPriority(torrentName) {
-    const name = torrentName || '';
-    for (let i = 0; i < GROUP_PRIORITY.length; i++) {
-      if (name.toLowerCase().includes(GROUP_PRIORITY[i].toLowerCase())) return i;
+  const found = await findEpisodeTorrents(type, fullId, config, trace);
+  const { names, episode, target, specials, provider, sorted, rankInfo, availability } = found;
+  if (!names.length) {
+    return { streams: [{ name: msg.notFoundName, title: msg.notFoundTitle, url: 'https://nyaa.si', behaviorHints: { notWebReady: true } }] };
+  }
+  if (!sorted.length) {
+    return { streams: [{ name: msg.noTorrentsName, title: msg.noTorrentsTitle(episode, names[0]), url: 'https://nyaa.si', behaviorHints: { notWebReady: true } }] };
+  }
+
+  const configSegment = encodeConfig(config);
+  const seriesId = getSeriesId(fullId);
+  const template = templates.getTemplates(config);
+  let liveJobs = 0;
+
+  // Show all found torrents - debrid conversion happens ONLY when user clicks a specific stream
+  const streams = await Promise.all(sorted.slice(0, config.maxResults).map(async (t, i) => {
+    // Status lines below the template: conversion progress/failure, ranking reasons
+    const extraLines = [];
+    const format = service => {
+      const fields = getStreamFields(t, target, specials, service, msg);
+      const lines = [templates.render(template.title, fields), ...extraLines];
+      if (config.debug) {
+        const { score, reasons } = rankInfo.get(t);
+        lines.push(`🔎 #${i + 1} score ${score}: ${reasons.join(' · ') || '-'}`);
+      }
+      return { name: templates.render(template.name, fields), title: lines.filter(Boolean).join('\n') };
+    };
+
+    if (provider) {
+      const epQuery = target.episode != null
+        ? `?s=${target.season}&e=${target.episode}${target.absoluteEpisode ? `&a=${target.absoluteEpisode}` : ''}` : '';
+      const cached = availability.get(getInfoHash(t.magnet));
+      let status = cached === true ? '⚡' : cached === false ? '⏳' : '';
+      // Conversion started from this list earlier: live progress or why it failed
+      const job = getDebridJob(debridCacheKey(provider, t.magnet, config.debridKey, target));
+      if (job?.state === 'converting') {
+        status = `${job.progress ?? 0}%`;
+        const speed = job.speed ? ` · ${(job.speed / 1024 / 1024).toFixed(1)} MB/s` : '';
+        extraLines.push(msg.debridProgress(job.progress ?? 0, speed, job.seeders));
+        liveJobs++;
+      } else if (job?.state === 'failed') {
+        extraLines.push(`⚠️ ${getDebridErrorMessage(job.error, msg) || msg.debridFailed}`);
+      }
+      // /play looks the release up here to prefetch the next episode from the same group
+      if (target.episode != null) rememberPlayContext(t, type, seriesId);
+      return {
+        // The short provider name leaves room for the progress while converting
+        ...format({
+          icon: '🎌',
+          provider: job?.state === 'converting' ? provider.shortName : provider.name,
+          providerShort: provider.shortName,
+          cache: status,
+        }),
+        url: `${BASE_URL}/${configSegment}/play/${createPlayRef(t.magnet, target)}/video.mp4${epQuery}`,
+        behaviorHints: { bingeGroup: getBingeGroup('anime-nyaa-rd', t.parsed), notWebReady: true }
+      };
     }
-    return GROUP_PRIORITY.length;
+    return {
+      ...format({ icon: '🧲', provider: 'Nyaa Magnet', providerShort: 'Magnet', cache: '' }),
+      ...await buildTorrentStream(t, target, config),
+    };
+  }));
+
+  // Running conversions: Stremio should ask again soon to show the new progress
+  return liveJobs ? { streams, cacheMaxAge: 10 } : { streams };
+}
+
+// ============================================================
+// NEXT EPISODE PREFETCH
+// ============================================================
+// After a successful /play the next episode from the same release group and resolution is
+// converted in the background, so binge watching doesn't hit the loading video every time.
+// At most PREFETCH_MAX_ACTIVE conversions run per debrid account, config.prefetchEpisodes sets how far ahead.
+const PREFETCH_MAX_ACTIVE = 2;
+const prefetchActive = new Map();   // key fingerprint → running prefetches
+
+function rememberPlayContext(t, type, seriesId) {
+  playContextCache.set(getInfoHash(t.magnet), {
+    type,
+    seriesId,
+    group: t.parsed.group,
+    resolution: t.parsed.resolution,
+    batch: t.parsed.batch,
+    episodeRange: t.parsed.episodeRange,
+  });
+}
+
+function isSameRelease(parsed, context) {
+  return !!parsed.group && parsed.group.toLowerCase() === (context.group || '').toLowerCase()
+    && parsed.resolution === context.resolution;
+}
+
+// Batch pack covering the next episode → just another file of the same torrent,
+// otherwise search the next episode and take the best release of the same group
+async function prefetchEpisode(provider, magnet, context, next, config) {
+  const episodes = [next.episode, next.absoluteEpisode].filter(e => e != null);
+  if (context.batch && (!context.episodeRange || coversEpisode({ episode: null, episodeRange: context.episodeRange }, episodes))) {
+    return getDebridStream(provider, magnet, config.debridKey, next);
   }
 
-  function is1080p(torrentName) {
-    return /1080p/i.test(torrentName || '');
+  const nextId = buildEpisodeId(context.seriesId, next.season, next.episode);
+  const { sorted, target } = await findEpisodeTorrents(context.type, nextId, config);
+  const release = sorted.find(t => isSameRelease(t.parsed, context));
+  if (!release) return null;
+  rememberPlayContext(release, context.type, context.seriesId);
+  return getDebridStream(provider, release.magnet, config.debridKey, target);
+}
+
+function prefetchNextEpisodes(provider, magnet, target, config) {
+  if (!config.prefetchEpisodes || target.episode == null) return;
+  const context = playContextCache.get(getInfoHash(magnet));
+  if (!context) return;
+
+  const account = secure.fingerprint(config.debridKey);
+  for (let n = 1; n <= config.prefetchEpisodes; n++) {
+    const next = {
+      season: target.season,
+      episode: target.episode + n,
+      absoluteEpisode: target.absoluteEpisode ? target.absoluteEpisode + n : null,
+    };
+    const key = `${account}:${context.seriesId}:${next.season}:${next.episode}`;
+    if (prefetchCache.get(key)) continue;
+    if ((prefetchActive.get(account) || 0) >= PREFETCH_MAX_ACTIVE) {
+      console.log(`Prefetch: ⏸️  ${PREFETCH_MAX_ACTIVE} already running for this account`);
+      return;
+    }
+
+    prefetchCache.set(key, true);
+    prefetchActive.set(account, (prefetchActive.get(account) || 0) + 1);
+    const label = `${buildEpisodeId(context.seriesId, next.season, next.episode)} [${context.group} ${context.resolution || ''}]`;
+    console.log(`Prefetch: 🔮 ${label}`);
+    prefetchEpisode(provider, magnet, context, next, config)
+      .then(url => {
+        prefetches.inc({ outcome: url ? 'ready' : 'not_found' });
+        console.log(url ? `Prefetch: ✅ ${label} ready` : `Prefetch: ⚠️  ${label} not found`);
+      })
+      .catch(err => {
+        prefetches.inc({ outcome: 'failed' });
+        console.error(`Prefetch: ${label} failed:`, err.message);
+      })
+      .finally(() => {
+        const active = prefetchActive.get(account) - 1;
+        active > 0 ? prefetchActive.set(account, active) : prefetchActive.delete(account);
+      });
   }
+}
 
-  const sorted = torrents
-    .filter(t => t.magnet && (t.seeders || 0) > 0)
-    .sort((a, b) => {
-      const a1080 = is1080p(a.name) ? 0 : 1;
-      const b1080 = is1080p(b.name) ? 0 : 1;
-      if (a1080 !== b1080) return a1080 - b1080;  // 1080p first
-      const pa = getGroupPriority(a.name);
-      const pb = getGroupPriority(b.name);
-      if (pa !== pb) return pa - pb;               // then preferred group
-      return (b.seeders || 0) - (a.seeders || 0); // then seeders
-    });
+// ============================================================
+// CATALOGS & META
+// ============================================================
+// Catalog items carry Kitsu IDs, so Stremio sends their stream requests to handleStreamRequest unchanged
+const KITSU_API = 'https://kitsu.io/api/edge';
+const CATALOG_PAGE_SIZE = 50;
+const KITSU_EPISODE_PAGE = 20;    // Kitsu's maximum page size
+const KITSU_EPISODE_PAGES = 25;   // → up to 500 episodes per meta
+
+// Fresh value, or stale value + background refresh, or load now; identical loads are shared
+async function getCachedOrLoad(cache, key, load) {
+  const cached = cache.getEntry(key);
+  const refresh = () => upstream.coalesce(`${cache.namespace}:${key}`, async () => {
+    const value = await load();
+    cache.set(key, value);
+    return value;
+  });
 
-  // Show all found torrents - RD conversion happens ONLY when user clicks a specific stream
-  const streams = sorted.slice(0, 20).map(t => {
-    // Detect if torrent title matches S1 pattern (no season number = season 1)
-    const name = t.name || '';
-    const hasSeasonTag = /S\d{2}|Season\s*\d/i.test(name);
-    const isS1implicit = !hasSeasonTag; // no season tag → likely S1
-    const seasonHint = isS1implicit ? ' [S1]' : '';
+  if (cached && !cached.stale) return cached.value;
+  if (cached) {
+    refresh().catch(err => console.error(`${cache.namespace}: refresh failed, keeping stale value:`, err.message));
+    return cached.value;
+  }
+  return refresh();
+}
 
-    const title = `${t.name}${seasonHint}\n👥 ${t.seeders || 0} seeders | 📦 ${t.filesize || '?'}`;
+// Kitsu anime resource → Stremio meta preview
+function toMetaPreview(anime) {
+  const a = anime.attributes || {};
+  return {
+    id: `kitsu:${anime.id}`,
+    type: a.subtype === 'movie' ? 'movie' : 'series',
+    name: a.canonicalTitle || a.titles?.en_jp || a.titles?.en,
+    poster: a.posterImage?.medium || a.posterImage?.original || null,
+    background: a.coverImage?.large || a.coverImage?.original || null,
+    description: a.synopsis || '',
+    releaseInfo: a.startDate ? a.startDate.slice(0, 4) : undefined,
+  };
+}
 
-    if (hasRD) {
-      const magnetEnc = encodeURIComponent(t.magnet);
-      return {
-        name: '🎌 RealDebrid',
-        title,
-        url: `${BASE_URL}/${rdKey}/play/${magnetEnc}/video.mp4`,
-        behaviorHints: { bingeGroup: 'anime-nyaa-rd', notWebReady: true }
-      };
+// Lookups are cached including misses (null) - only upstream errors are retried next time
+async function findKitsuAnime(cacheKey, resource, params) {
+  const cached = kitsuIdCache.get(cacheKey);
+  if (cached !== undefined) return cached;
+  const res = await kitsuHttp.get(`${KITSU_API}/${resource}`, { params, timeout: 8000 });
+  // /mappings returns the anime in `included`, /anime searches in `data`
+  const anime = resource === 'mappings'
+    ? (res.data?.included || []).find(i => i.type === 'anime')
+    : res.data?.data?.[0];
+  const preview = anime ? toMetaPreview(anime) : null;
+  kitsuIdCache.set(cacheKey, preview);
+  return preview;
+}
+
+function findKitsuByMal(malId) {
+  return findKitsuAnime(`mal:${malId}`, 'mappings', {
+    'filter[externalSite]': 'myanimelist/anime', 'filter[externalId]': malId, include: 'item',
+  });
+}
+
+function findKitsuByTitle(title) {
+  return findKitsuAnime(`title:${title.toLowerCase()}`, 'anime', { 'filter[text]': title, 'page[limit]': 1 });
+}
+
+function getCurrentSeason(date = new Date()) {
+  const seasons = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+  return { season: seasons[Math.floor(date.getUTCMonth() / 3)], year: date.getUTCFullYear() };
+}
+
+const ANILIST_AIRING_QUERY = `
+  query ($season: MediaSeason, $year: Int, $page: Int, $perPage: Int) {
+    Page(page: $page, perPage: $perPage) {
+      media(season: $season, seasonYear: $year, type: ANIME, format_in: [TV, TV_SHORT, ONA], isAdult: false, sort: POPULARITY_DESC) {
+        idMal
+        title { romaji english }
+        coverImage { large }
+        bannerImage
+        description(asHtml: false)
+        genres
+      }
     }
+  }
+`;
+
+// AniList "this season" by popularity, mapped to Kitsu IDs through MAL IDs
+async function loadAiringCatalog(skip) {
+  const { season, year } = getCurrentSeason();
+  const page = Math.floor(skip / CATALOG_PAGE_SIZE) + 1;
+  const res = await anilistHttp.post(ANILIST_URL, {
+    query: ANILIST_AIRING_QUERY,
+    variables: { season, year, page, perPage: CATALOG_PAGE_SIZE },
+  }, { timeout: 8000 });
+  const media = res.data?.data?.Page?.media || [];
+
+  const metas = await Promise.all(media.filter(m => m.idMal).map(async m => {
+    const kitsu = await findKitsuByMal(m.idMal).catch(() => null);
+    if (!kitsu) return null;
+    return {
+      ...kitsu,
+      name: m.title?.english || m.title?.romaji || kitsu.name,
+      poster: m.coverImage?.large || kitsu.poster,
+      background: m.bannerImage || kitsu.background,
+      description: (m.description || '').replace(/<[^>]+>/g, '') || kitsu.description,
+      genres: m.genres,
+    };
+  }));
+  console.log(`Catalog: airing ${season} ${year} page ${page} → ${metas.filter(Boolean).length}/${media.length}`);
+  return metas.filter(Boolean);
+}
+
+// Newest Nyaa uploads of the preferred groups, one entry per show (its latest episode)
+async function loadLatestCatalog(config, msg) {
+  const groups = config.preferredGroups.map(g => g.toLowerCase());
+  const resolution = config.resolutions[0] || '';
+  const results = await Promise.allSettled(config.preferredGroups.map(group =>
+    torrentSources.searchSources(`${group} ${resolution}`.trim(), ['nyaa'], { mirrors: config.nyaaMirrors, recent: true })
+  ));
+  if (results.length && results.every(r => r.status === 'rejected')) throw new Error('all Nyaa queries failed');
+
+  const shows = new Map();
+  for (const t of results.flatMap(r => r.status === 'fulfilled' ? r.value : [])) {
+    const parsed = parseReleaseName(t.name);
+    if (!parsed.title || parsed.episode == null || parsed.batch || parsed.extra || parsed.special) continue;
+    if (!groups.includes((parsed.group || '').toLowerCase())) continue;
+    // Sequels are usually titled "Show S2" - Kitsu knows them as "Show Season 2"
+    const title = parsed.season > 1 ? `${parsed.title} Season ${parsed.season}` : parsed.title;
+    const prev = shows.get(title.toLowerCase());
+    if (!prev || new Date(t.date) > new Date(prev.t.date)) shows.set(title.toLowerCase(), { t, parsed, title });
+  }
+
+  const newest = [...shows.values()]
+    .sort((a, b) => new Date(b.t.date) - new Date(a.t.date))
+    .slice(0, CATALOG_PAGE_SIZE);
+
+  const seen = new Set();
+  const metas = [];
+  for (const { parsed, title } of newest) {
+    const kitsu = await findKitsuByTitle(title).catch(() => null);
+    if (!kitsu || seen.has(kitsu.id)) continue;
+    seen.add(kitsu.id);
+    metas.push({ ...kitsu, description: `${msg.latestEpisode(parsed.episode, parsed.group)}\n\n${kitsu.description}` });
+  }
+  console.log(`Catalog: latest → ${metas.length} shows from ${shows.size} releases`);
+  return metas;
+}
+
+async function loadSearchCatalog(query) {
+  const res = await kitsuHttp.get(`${KITSU_API}/anime`, {
+    params: { 'filter[text]': query, 'page[limit]': 20 },
+    timeout: 8000,
+  });
+  return (res.data?.data || []).map(toMetaPreview);
+}
+
+// extra = { search, skip } from the catalog URL
+async function handleCatalogRequest(id, extra, config) {
+  const msg = i18n.getMessages(config.language);
+  const skip = parseInt(extra.skip) || 0;
+
+  if (id === 'nyaa-airing') {
+    return getCachedOrLoad(catalogCache, `airing:${skip}`, () => loadAiringCatalog(skip));
+  }
+  if (id === 'nyaa-latest') {
+    // One page only - Nyaa's newest uploads don't go further back in a useful way
+    if (skip) return [];
+    const key = `latest:${config.language}:${config.preferredGroups.join(',')}:${config.resolutions[0] || ''}:${config.nyaaMirrors.join(',')}`;
+    return getCachedOrLoad(catalogCache, key, () => loadLatestCatalog(config, msg));
+  }
+  if (id === 'anilist-watching') {
+    if (!config.anilistToken || skip) return [];
+    return getCachedOrLoad(catalogCache, getWatchingCatalogKey(config.anilistToken, config.language),
+      () => loadWatchingCatalog(config.anilistToken, msg));
+  }
+  if (id === 'nyaa-search' && extra.search) {
+    return getCachedOrLoad(catalogCache, `search:${extra.search.toLowerCase().trim()}`, () => loadSearchCatalog(extra.search));
+  }
+  return [];
+}
+
+async function fetchKitsuEpisodes(kitsuId) {
+  const episodes = [];
+  for (let page = 0; page < KITSU_EPISODE_PAGES; page++) {
+    const res = await kitsuHttp.get(`${KITSU_API}/anime/${kitsuId}/episodes`, {
+      params: { 'page[limit]': KITSU_EPISODE_PAGE, 'page[offset]': page * KITSU_EPISODE_PAGE, sort: 'number' },
+      timeout: 8000,
+    });
+    const data = res.data?.data || [];
+    episodes.push(...data.map(e => e.attributes).filter(e => e?.number));
+    if (data.length < KITSU_EPISODE_PAGE) break;
+  }
+  return episodes;
+}
+
+// kitsu:<id> → meta with one video per episode (kitsu:<id>:<episode>, as the stream handler expects)
+async function loadKitsuMeta(kitsuId, msg) {
+  const res = await kitsuHttp.get(`${KITSU_API}/anime/${kitsuId}`, { timeout: 8000 });
+  const anime = res.data?.data;
+  if (!anime) return null;
+
+  const a = anime.attributes || {};
+  const meta = {
+    ...toMetaPreview(anime),
+    runtime: a.episodeLength ? `${a.episodeLength} min` : undefined,
+    imdbRating: a.averageRating ? (parseFloat(a.averageRating) / 10).toFixed(1) : undefined,
+  };
+  if (meta.type === 'movie') return { ...meta, behaviorHints: { defaultVideoId: meta.id } };
+
+  const episodes = await fetchKitsuEpisodes(kitsuId);
+  const byNumber = new Map(episodes.map(e => [e.number, e]));
+  // Airing shows: only episodes Kitsu already lists; finished shows without episode data: episodeCount
+  const count = episodes.length ? Math.max(...byNumber.keys()) : (a.episodeCount || 0);
+  const fallbackDate = a.startDate ? new Date(a.startDate).toISOString() : new Date(0).toISOString();
+
+  meta.videos = Array.from({ length: count }, (_, i) => {
+    const number = i + 1;
+    const ep = byNumber.get(number);
     return {
-      name: '🧲 Nyaa Magnet',
-      title,
-      url: t.magnet,
-      behaviorHints: { notWebReady: true }
+      id: `kitsu:${kitsuId}:${number}`,
+      title: ep?.canonicalTitle || msg.episodeTitle(number),
+      season: 1,
+      episode: number,
+      released: ep?.airdate ? new Date(ep.airdate).toISOString() : fallbackDate,
+      thumbnail: ep?.thumbnail?.original || undefined,
+      overview: ep?.synopsis || undefined,
     };
   });
+  console.log(`Meta: kitsu:${kitsuId} "${meta.name}" ${count} episodes`);
+  return meta;
+}
+
+async function handleMetaRequest(id, config) {
+  const kitsuId = id.match(/^kitsu:(\d+)$/)?.[1];
+  if (!kitsuId) return null;
+  const msg = i18n.getMessages(config.language);
+  return getCachedOrLoad(metaCache, `${kitsuId}:${config.language}`, () => loadKitsuMeta(kitsuId, msg));
+}
+
+// ============================================================
+// ANILIST ACCOUNT (config.anilistToken)
+// ============================================================
+// "Continue watching" catalog from the user's CURRENT list and, with config.anilistSync, progress
+// updates after a successful /play (debrid streams only - magnets never reach the server).
+// The token is the user's own AniList access token, sealed in the config like the debrid key.
+// ANILIST_CLIENT_ID - AniList API client (redirect URL https://anilist.co/api/v2/oauth/pin),
+// enables the "get token" link on the configure page.
+const ANILIST_CLIENT_ID = process.env.ANILIST_CLIENT_ID || null;
+const ANILIST_AUTHORIZE_URL = 'https://anilist.co/api/v2/oauth/authorize';
+
+const ANILIST_VIEWER_QUERY = `
+  query {
+    Viewer { id }
+  }
+`;
+
+const ANILIST_WATCHING_QUERY = `
+  query ($userId: Int) {
+    MediaListCollection(userId: $userId, type: ANIME, status: CURRENT, sort: UPDATED_TIME_DESC) {
+      lists {
+        entries {
+          progress
+          media {
+            id
+            idMal
+            format
+            episodes
+            title { romaji english }
+            coverImage { large }
+            bannerImage
+            description(asHtml: false)
+            genres
+            nextAiringEpisode { episode }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const ANILIST_LIST_ENTRY_QUERY = `
+  query ($id: Int) {
+    Media(id: $id, type: ANIME) {
+      episodes
+      mediaListEntry { progress status }
+    }
+  }
+`;
+
+const ANILIST_SAVE_PROGRESS = `
+  mutation ($mediaId: Int, $progress: Int, $status: MediaListStatus) {
+    SaveMediaListEntry(mediaId: $mediaId, progress: $progress, status: $status) { progress status }
+  }
+`;
+
+// Authenticated GraphQL call → data; AniList's own error message (expired token...) is thrown
+async function anilistUserQuery(token, query, variables = {}) {
+  try {
+    const res = await anilistHttp.post(ANILIST_URL, { query, variables },
+      { headers: { Authorization: `Bearer ${token}` }, timeout: 8000 });
+    if (res.data?.errors?.length) throw new Error(res.data.errors[0].message);
+    return res.data?.data || {};
+  } catch (err) {
+    const message = err.response?.data?.errors?.[0]?.message;
+    throw message ? new Error(`AniList: ${message}`) : err;
+  }
+}
+
+async function getAniListViewerId(token) {
+  const key = secure.fingerprint(token);
+  const cached = anilistViewerCache.get(key);
+  if (cached) return cached;
+  const id = (await anilistUserQuery(token, ANILIST_VIEWER_QUERY)).Viewer?.id;
+  if (!id) throw new Error('AniList: no viewer for this token');
+  anilistViewerCache.set(key, id);
+  return id;
+}
 
-  return { streams };
+function getWatchingCatalogKey(token, language) {
+  return `watching:${secure.fingerprint(token)}:${language}`;
+}
+
+// AniList entry → Kitsu ID: offline database first, Kitsu's MAL mapping otherwise
+async function findKitsuIdForAniList(media) {
+  const kitsuId = animeDb.findById('anilist', media.id)?.kitsu;
+  if (kitsuId) return kitsuId;
+  if (!media.idMal) return null;
+  const kitsu = await findKitsuByMal(media.idMal).catch(() => null);
+  return kitsu ? kitsu.id.split(':')[1] : null;
+}
+
+// CURRENT list, most recently updated first; the description starts with the next unwatched episode
+async function loadWatchingCatalog(token, msg) {
+  const userId = await getAniListViewerId(token);
+  const data = await anilistUserQuery(token, ANILIST_WATCHING_QUERY, { userId });
+  const seen = new Set();
+  const entries = (data.MediaListCollection?.lists || []).flatMap(l => l.entries || [])
+    .filter(e => e.media && !seen.has(e.media.id) && seen.add(e.media.id));
+
+  const metas = await Promise.all(entries.map(async ({ progress, media }) => {
+    const next = (progress || 0) + 1;
+    // Everything watched but still CURRENT (not marked completed yet)
+    if (media.episodes && next > media.episodes) return null;
+    const kitsuId = await findKitsuIdForAniList(media);
+    if (!kitsuId) return null;
+
+    const aired = !media.nextAiringEpisode || next < media.nextAiringEpisode.episode;
+    const status = aired ? msg.nextEpisode(next, media.episodes) : msg.nextEpisodeNotAired(next);
+    return {
+      id: `kitsu:${kitsuId}`,
+      type: media.format === 'MOVIE' ? 'movie' : 'series',
+      name: media.title?.english || media.title?.romaji,
+      poster: media.coverImage?.large || null,
+      background: media.bannerImage || null,
+      description: `${status}\n\n${(media.description || '').replace(/<[^>]+>/g, '')}`,
+      genres: media.genres,
+    };
+  }));
+  console.log(`Catalog: watching → ${metas.filter(Boolean).length}/${entries.length}`);
+  return metas.filter(Boolean);
+}
+
+// Played episode → its AniList entry (same ID resolution as the stream search) → list progress.
+// Progress only ever goes up, so rewatching an older episode changes nothing.
+async function syncAniListProgress(config, context, target) {
+  const fullId = buildEpisodeId(context.seriesId, target.season, target.episode);
+  const { anilistId, partOffset = 0 } = await resolveAnimeNames(context.type, fullId);
+  if (!anilistId) return 'unmapped';
+
+  const progress = target.episode - partOffset;
+  const media = (await anilistUserQuery(config.anilistToken, ANILIST_LIST_ENTRY_QUERY, { id: anilistId })).Media;
+  const entry = media?.mediaListEntry;
+  if (entry && entry.progress >= progress && entry.status !== 'PLANNING') return 'unchanged';
+
+  const finished = media?.episodes && progress >= media.episodes;
+  const status = finished ? 'COMPLETED' : entry?.status === 'REPEATING' ? 'REPEATING' : 'CURRENT';
+  await anilistUserQuery(config.anilistToken, ANILIST_SAVE_PROGRESS, { mediaId: anilistId, progress, status });
+  console.log(`AniList: ✅ ${fullId} → media ${anilistId} progress ${progress} (${status})`);
+
+  // The "Continue watching" catalog shows the next episode - drop the old one
+  for (const language of i18n.LANGUAGES) catalogCache.delete(getWatchingCatalogKey(config.anilistToken, language));
+  return 'updated';
+}
+
+// Fire-and-forget from /play; series episodes only (the release was remembered by the stream list)
+function startAniListSync(config, magnet, target) {
+  if (!config.anilistToken || !config.anilistSync || target.episode == null || target.season === 0) return;
+  const context = playContextCache.get(getInfoHash(magnet));
+  if (!context || context.type !== 'series') return;
+
+  const key = `${secure.fingerprint(config.anilistToken)}:${buildEpisodeId(context.seriesId, target.season, target.episode)}`;
+  if (anilistSyncCache.get(key)) return;
+  anilistSyncCache.set(key, true);
+  syncAniListProgress(config, context, target)
+    .then(outcome => anilistSyncs.inc({ outcome }))
+    .catch(err => {
+      anilistSyncs.inc({ outcome: 'failed' });
+      anilistSyncCache.delete(key);
+      console.error('AniList sync failed:', err.message);
+    });
 }
 
 // ============================================================
@@ -522,8 +2027,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Config segments hold debrid keys - never log them
 app.use((req, res, next) => {
-  console.log(`→ ${req.method} ${req.url}`);
+  console.log(`→ ${req.method} ${secure.redactUrl(req.url)}`);
+  next();
+});
+
+// Route label = the Express route pattern (never the raw URL, which holds configs and IDs)
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = res.locals.route || (req.route ? String(req.route.path) : 'static');
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
   next();
 });
 
@@ -533,34 +2050,140 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// ── MANIFEST ──────────────────────────────────────────────
-app.get('/:rdKey/manifest.json', (req, res) => {
-  const rdKey = req.params.rdKey;
-  console.log(`📄 Manifest for rdKey: ${rdKey.substring(0, 8)}...`);
+// ── CONFIGURE ─────────────────────────────────────────────
+// Stremio opens <addon base>/configure; the page reads the existing config from the path
+app.get(['/configure', '/:config/configure'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Page texts: ?lang= (the installed config's language or the picked one), otherwise Accept-Language
+app.get('/api/i18n', (req, res) => {
+  const language = i18n.LANGUAGES.includes(req.query.lang) ? req.query.lang : i18n.negotiate(req.get('Accept-Language'));
+  res.vary('Accept-Language');
+  res.json({ language, messages: i18n.getMessages(language).page });
+});
+
+// Installed config for prefilling the page - the debrid key and AniList token never leave the server
+app.get('/:config/config.json', (req, res) => {
+  const config = decodeConfig(req.params.config);
   res.json({
+    ...config,
+    debridKey: null,
+    hasDebridKey: !!config.debridKey,
+    anilistToken: null,
+    hasAnilistToken: !!config.anilistToken,
+  });
+});
+
+// Form values → sealed token. keepDebridKey / keepAnilistToken reuse the secret of the previous
+// token, so re-configuring doesn't require pasting it again
+app.post('/api/config', express.json({ limit: '16kb' }), (req, res) => {
+  const { config, previous, keepDebridKey, keepAnilistToken } = req.body || {};
+  const sanitized = sanitizeConfig(config);
+  const previousConfig = previous ? decodeConfig(String(previous)) : null;
+  if (keepDebridKey && !sanitized.debridKey && previousConfig) sanitized.debridKey = previousConfig.debridKey;
+  if (keepAnilistToken && !sanitized.anilistToken && previousConfig) sanitized.anilistToken = previousConfig.anilistToken;
+  res.json({ token: encodeConfig(sanitized) });
+});
+
+// AniList implicit grant - AniList shows the token on its PIN page for pasting into the form
+app.get('/api/anilist/authorize', (req, res) => {
+  if (!ANILIST_CLIENT_ID) return res.status(404).send('AniList login is not configured on this server (ANILIST_CLIENT_ID)');
+  res.redirect(302, `${ANILIST_AUTHORIZE_URL}?client_id=${encodeURIComponent(ANILIST_CLIENT_ID)}&response_type=token`);
+});
+
+// ── MANIFEST ──────────────────────────────────────────────
+function buildManifest(config, configured) {
+  const msg = i18n.getMessages(config.language);
+  return {
     id: 'cz.anime.nyaa.rd.v2',
-    version: '3.0.0',
+    version: '3.1.0',
     name: '🎌 Anime Nyaa',
-    description: 'Streamuje anime z Nyaa.si přes RealDebrid. Funguje s Cinemeta/Kitsu katalogy.',
+    description: msg.description,
     logo: `${BASE_URL}/logo.png`,
-    resources: ['stream'],
+    // tt metas stay with Cinemeta - only Kitsu IDs get episode lists from here
+    resources: ['stream', 'catalog', { name: 'meta', types: ['series', 'movie'], idPrefixes: ['kitsu:'] }],
     types: ['series', 'movie'],
-    catalogs: [],
+    catalogs: [
+      { type: 'series', id: 'nyaa-airing', name: msg.catalogAiring, extra: [{ name: 'skip' }] },
+      { type: 'series', id: 'nyaa-latest', name: msg.catalogLatest },
+      { type: 'series', id: 'nyaa-search', name: msg.catalogSearch, extra: [{ name: 'search', isRequired: true }] },
+      ...config.anilistToken ? [{ type: 'series', id: 'anilist-watching', name: msg.catalogWatching }] : [],
+    ],
     idPrefixes: ['kitsu:', 'tt'],
-    behaviorHints: { configurable: false, configurationRequired: false }
-  });
+    behaviorHints: { configurable: true, configurationRequired: !configured }
+  };
+}
+
+// Not configured yet: texts in the language Stremio asks for
+app.get('/manifest.json', (req, res) => {
+  res.vary('Accept-Language');
+  res.json(buildManifest({ ...DEFAULT_CONFIG, language: i18n.negotiate(req.get('Accept-Language')) }, false));
+});
+
+app.get('/:config/manifest.json', (req, res) => {
+  const config = decodeConfig(req.params.config);
+  console.log(`📄 Manifest: debrid=${config.debridKey ? config.debrid : 'no'} res=${config.resolutions.join(',')} lang=${config.language}`);
+  res.json(buildManifest(config, true));
+});
+
+// ── DEBUG ─────────────────────────────────────────────────
+// Pipeline traces for "why does this show return nothing" - only enabled with ADMIN_TOKEN set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).send('Not found');
+  const given = req.query.token || req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  if (!secure.safeEqual(given, ADMIN_TOKEN)) return res.status(401).json({ error: 'Invalid admin token' });
+  next();
+}
+
+function createStreamTrace(type, id) {
+  return {
+    type,
+    id,
+    parsed: null,     // { season, episode } from the Stremio ID
+    resolver: null,   // { id: kitsu | imdb | cinemeta-fallback, cache: hit | stale | miss }
+    names: null,      // resolveAnimeNames result
+    search: null,     // { season, episode, absoluteEpisode } actually searched
+    queries: [],      // [{ name, query, hits, error }]
+    matched: 0,       // torrents left after the episode/season filters (deduped)
+    dropped: [],      // [{ stage: filter | ranking | debrid, name, reason }]
+    results: [],      // final streams with ranking score and debrid cache status
+    error: null,
+    durationMs: 0,
+  };
+}
+
+app.get('/debug', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'debug.html'));
+});
+
+// /debug/stream/series/kitsu:12345:5?token=<ADMIN_TOKEN>&config=<config segment>
+app.get('/debug/stream/:type/:id', requireAdmin, async (req, res) => {
+  const config = decodeConfig(req.query.config);
+  const trace = createStreamTrace(req.params.type, req.params.id);
+  const started = Date.now();
+  try {
+    await handleStreamRequest(req.params.type, req.params.id, config, trace);
+  } catch (err) {
+    trace.error = err.message;
+  }
+  trace.durationMs = Date.now() - started;
+  res.json(trace);
 });
 
 // ── STREAM ────────────────────────────────────────────────
-// /rdKey/stream/series/kitsu:12345:1.json
-// /rdKey/stream/series/tt1234567:1:5.json
+// /config/stream/series/kitsu:12345:1.json
+// /config/stream/series/tt1234567:1:5.json
 app.get(/^\/([^\/]+)\/stream\/([^\/]+)\/(.+)\.json$/, async (req, res) => {
-  const rdKey = req.params[0];
+  res.locals.route = '/:config/stream/:type/:id.json';
+  const config = decodeConfig(req.params[0]);
   const type = req.params[1];
   const fullId = req.params[2];
 
   try {
-    const result = await handleStreamRequest(type, fullId, rdKey);
+    const result = await handleStreamRequest(type, fullId, config);
     res.json(result);
   } catch (err) {
     console.error('Stream route error:', err.message);
@@ -568,22 +2191,64 @@ app.get(/^\/([^\/]+)\/stream\/([^\/]+)\/(.+)\.json$/, async (req, res) => {
   }
 });
 
+// ── CATALOG / META ────────────────────────────────────────
+// /config/catalog/series/nyaa-airing/skip=50.json
+// /config/catalog/series/nyaa-search/search=frieren.json
+app.get(/^\/([^\/]+)\/catalog\/([^\/]+)\/([^\/]+?)(?:\/([^\/]+))?\.json$/, async (req, res) => {
+  res.locals.route = '/:config/catalog/:type/:id/:extra?.json';
+  const config = decodeConfig(req.params[0]);
+  const extra = Object.fromEntries(new URLSearchParams(req.params[3] || ''));
+
+  try {
+    res.json({ metas: await handleCatalogRequest(req.params[2], extra, config) });
+  } catch (err) {
+    console.error('Catalog route error:', err.message);
+    res.json({ metas: [] });
+  }
+});
+
+// /config/meta/series/kitsu:12345.json
+app.get(/^\/([^\/]+)\/meta\/([^\/]+)\/(.+)\.json$/, async (req, res) => {
+  res.locals.route = '/:config/meta/:type/:id.json';
+  const config = decodeConfig(req.params[0]);
+
+  try {
+    const meta = await handleMetaRequest(req.params[2], config);
+    meta ? res.json({ meta }) : res.status(404).json({ meta: null });
+  } catch (err) {
+    console.error('Meta route error:', err.message);
+    res.status(500).json({ meta: null });
+  }
+});
+
+// ?s=2&e=5&a=30 → { season: 2, episode: 5, absoluteEpisode: 30 }, missing → null (movie / whole torrent)
+function parseEpisodeQuery(query) {
+  const toInt = v => Number.isFinite(parseInt(v)) ? parseInt(v) : null;
+  return { season: toInt(query.s), episode: toInt(query.e), absoluteEpisode: toInt(query.a) };
+}
+
 // ── REALDEBRID PROXY (legacy) ─────────────────────────────
-app.get('/:rdKey/rd/:magnet(*)', async (req, res) => {
-  const rdKey = req.params.rdKey;
+app.get('/:config/rd/:magnet(*)', async (req, res) => {
+  const config = decodeConfig(req.params.config);
+  const provider = debrid.getProvider(config.debrid);
   const magnet = decodeURIComponent(req.params.magnet);
-  console.log('RD proxy: converting magnet...');
-  const stream = await getRDStream(magnet, rdKey);
-  stream ? res.redirect(302, stream) : res.status(500).send('RealDebrid: Failed');
+  const target = parseEpisodeQuery(req.query);
+  registerDebridAccount(provider, config);
+  console.log(`${provider.shortName} proxy: converting magnet...`);
+  try {
+    const stream = await getDebridStream(provider, magnet, config.debridKey, target);
+    stream ? res.redirect(302, stream) : res.status(500).send(`${provider.name}: ${i18n.getMessages(config.language).debridFailed}`);
+  } catch (err) {
+    sendDebridError(res, provider, err, config);
+  }
 });
 
 // ── PLAY PROXY ────────────────────────────────────────────
-// If RD stream is ready → redirect to it
-// If not ready → serve loading video
-// Track in-progress RD conversions to avoid duplicate parallel calls
-const rdInProgress = new Set();
-
+// If debrid stream is ready → redirect to it
+// If not ready → serve loading video (the conversion job keeps running, see debridJobs)
+// If the conversion failed → the reason as text instead of the loading video
 function serveLoadingVideo(res) {
+  playResponses.inc({ result: 'loading' });
   if (fs.existsSync(LOADING_VIDEO_PATH)) {
     res.setHeader('Content-Type', 'video/mp4');
     res.setHeader('Content-Length', fs.statSync(LOADING_VIDEO_PATH).size);
@@ -592,65 +2257,172 @@ function serveLoadingVideo(res) {
   return res.redirect(302, LOADING_VIDEO_URL);
 }
 
-const RD_QUICK_TIMEOUT = 8000; // Wait up to 8s on first attempt before showing loading video
+const DEBRID_QUICK_TIMEOUT = 8000; // Wait up to 8s on first attempt before showing loading video
 
-app.get('/:rdKey/play/:magnet(*)/video.mp4', async (req, res) => {
-  const rdKey = req.params.rdKey;
-  const magnet = decodeURIComponent(req.params.magnet);
-  const cacheKey = `rd:${magnet}_${rdKey}`;
+// Provider refused the torrent/account or the conversion failed → plain-text reason (players show the HTTP error)
+function sendDebridError(res, provider, err, config) {
+  playResponses.inc({ result: 'error' });
+  const msg = i18n.getMessages(config.language);
+  const text = getDebridErrorMessage(err, msg) || msg.debridFailed;
+  res.status(err?.code === 'bad_token' ? 401 : 502).send(`${provider.name}: ${text}`);
+}
+
+// :ref is a signed "<infohash>.<signature>"; old links from legacy configs still carry the raw magnet
+app.get('/:config/play/:ref(*)/video.mp4', async (req, res) => {
+  const config = decodeConfig(req.params.config);
+  const provider = debrid.getProvider(config.debrid);
+  const msg = i18n.getMessages(config.language);
+  if (!config.debridKey) return res.status(400).send(`${provider.name}: ${msg.noApiKey}`);
+  const target = parseEpisodeQuery(req.query);
+  const legacyMagnet = isLegacyConfig(req.params.config) && req.params.ref.startsWith('magnet:');
+  const magnet = legacyMagnet ? decodeURIComponent(req.params.ref) : resolvePlayRef(req.params.ref, target);
+  if (!magnet) return res.status(403).send(msg.invalidLink);
+  const cacheKey = debridCacheKey(provider, magnet, config.debridKey, target);
+  registerDebridAccount(provider, config);
 
   // 1. Already cached → instant redirect
-  const cached = rdCache.get(cacheKey);
-  if (cached && isCacheValid(cached, RD_CACHE_TTL)) {
+  const cached = debridCache.get(cacheKey);
+  if (cached) {
     console.log('[Play] ✅ Cache hit → redirect');
-    return res.redirect(302, cached.url);
+    playResponses.inc({ result: 'redirect' });
+    prefetchNextEpisodes(provider, magnet, target, config);
+    startAniListSync(config, magnet, target);
+    return res.redirect(302, cached);
   }
 
-  // 2. RD conversion already running in background → loading video
-  if (rdInProgress.has(cacheKey)) {
-    console.log('[Play] 🕐 RD in progress → loading video');
+  // 2. Failed recently → say why instead of starting the same conversion again
+  //    Conversion running in background → loading video
+  const job = getDebridJob(cacheKey);
+  if (job) res.setHeader('X-Debrid-Job', job.id);
+  if (job?.state === 'failed') {
+    console.log(`[Play] ❌ ${provider.shortName} ${job.error.code} (job ${job.id})`);
+    return sendDebridError(res, provider, job.error, config);
+  }
+  if (job?.state === 'converting') {
+    console.log(`[Play] 🕐 ${provider.shortName} ${job.progress ?? 0}% → loading video`);
     return serveLoadingVideo(res);
   }
 
-  // 3. First attempt: race RD against timeout
-  console.log(`[Play] 🚀 First attempt, waiting up to ${RD_QUICK_TIMEOUT/1000}s...`);
-  rdInProgress.add(cacheKey);
-
-  const rdPromise = getRDStream(magnet, rdKey);
-  const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(null), RD_QUICK_TIMEOUT));
+  // 3. First attempt: race debrid against timeout
+  console.log(`[Play] 🚀 First attempt, waiting up to ${DEBRID_QUICK_TIMEOUT/1000}s...`);
+  const debridPromise = getDebridStream(provider, magnet, config.debridKey, target);
+  const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(null), DEBRID_QUICK_TIMEOUT));
 
-  const url = await Promise.race([rdPromise, timeoutPromise]);
+  let url;
+  try {
+    url = await Promise.race([debridPromise, timeoutPromise]);
+  } catch (err) {
+    console.log(`[Play] ❌ ${provider.shortName} ${err.code || err.message}`);
+    return sendDebridError(res, provider, err, config);
+  }
 
   if (url) {
-    rdInProgress.delete(cacheKey);
-    console.log('[Play] ✅ RD ready → redirect');
+    console.log(`[Play] ✅ ${provider.shortName} ready → redirect`);
+    playResponses.inc({ result: 'redirect' });
+    prefetchNextEpisodes(provider, magnet, target, config);
+    startAniListSync(config, magnet, target);
     return res.redirect(302, url);
   }
 
-  // Timed out or failed → serve loading video, keep RD running in background
-  console.log('[Play] ⏱️  Timeout → loading video, RD continues in background');
+  // Finished without a link (no file, nothing downloading) → explain
+  const started = getDebridJob(cacheKey);
+  if (started) res.setHeader('X-Debrid-Job', started.id);
+  if (started?.state === 'failed') return sendDebridError(res, provider, started.error, config);
+
+  // Timed out → serve loading video, the job continues in background so the next request gets a cache hit
+  console.log(`[Play] ⏱️  Timeout → loading video, ${provider.shortName} continues in background`);
   serveLoadingVideo(res);
+  debridPromise
+    .then(u => { if (u) console.log(`[Play] ✅ ${provider.shortName} finished in background, cached`); })
+    .catch(err => console.error(`[Play] ${provider.shortName} background error:`, err.message));
+});
 
-  // Continue waiting for RD in background so next request gets cache hit
-  rdPromise
-    .then(u => { if (u) console.log('[Play] ✅ RD finished in background, cached'); })
-    .catch(err => console.error('[Play] RD background error:', err.message))
-    .finally(() => rdInProgress.delete(cacheKey));
+// ── CONVERSION STATUS ─────────────────────────────────────
+// /status/<job id> (X-Debrid-Job header of /play) → state, progress, speed, seeders, error
+app.get('/status/:job', (req, res) => {
+  const cacheKey = debridJobIds.get(req.params.job);
+  const job = cacheKey && getDebridJob(cacheKey);
+  if (!job) return res.status(404).json({ error: 'Unknown or expired job' });
+  res.json(toJobStatus(job));
 });
 
-// Clear name cache on startup (filters may have changed between deploys)
-nameCache.clear();
-console.log('🗑️  Name cache cleared on startup');
+// ── HEALTH / METRICS ──────────────────────────────────────
+// Reachability = any HTTP answer below 500; probes bypass lib/upstream so an open circuit
+// doesn't hide a recovered host. Results are reused for a minute (monitors)
+const HEALTH_PROBES = {
+  nyaa: 'https://nyaa.si/',
+  animetosho: 'https://feed.animetosho.org/json',
+  kitsu: 'https://kitsu.io/api/edge/anime?page[limit]=1',
+  anilist: 'https://graphql.anilist.co',
+  cinemeta: 'https://v3-cinemeta.strem.io/manifest.json',
+  realdebrid: 'https://api.real-debrid.com/rest/1.0/time',
+};
+const HEALTH_PROBE_TTL = 60 * 1000;
+let healthProbe = null;   // { at, promise }
+
+async function probeUpstream(name, url) {
+  const started = Date.now();
+  try {
+    const res = await axios.get(url, { timeout: 5000, validateStatus: () => true, responseType: 'text' });
+    return { name, reachable: res.status < 500, status: res.status, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { name, reachable: false, error: err.code || err.message, latencyMs: Date.now() - started };
+  }
+}
+
+function probeUpstreams() {
+  if (!healthProbe || Date.now() - healthProbe.at > HEALTH_PROBE_TTL) {
+    healthProbe = { at: Date.now(), promise: Promise.all(Object.entries(HEALTH_PROBES).map(([n, url]) => probeUpstream(n, url))) };
+  }
+  return healthProbe.promise;
+}
+
+// Liveness only - no upstream probes (keep-alive ping, platform health checks)
+app.get('/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+app.get('/health', async (req, res) => {
+  const probes = await probeUpstreams();
+  const traffic = upstream.getStats();
+  const upstreams = probes.map(p => ({
+    ...p,
+    // Live traffic for the same upstream (Nyaa mirrors are separate hosts: "nyaa:nyaa.si")
+    traffic: traffic.filter(s => s.host === p.name || s.host.startsWith(`${p.name}:`)),
+  }));
+  res.json({
+    status: upstreams.every(u => u.reachable) ? 'ok' : 'degraded',
+    uptime: Math.round(process.uptime()),
+    cache: {
+      backend: cacheStore.BACKEND,
+      caches: cacheStore.getAllCaches().map(c => ({ name: c.namespace, size: c.size, ...c.stats })),
+    },
+    upstreams,
+    animeDb: animeDb.getStats(),
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Persist file-backed caches before Render stops the process (sleep / redeploy)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    cacheStore.flushAll();
+    process.exit(0);
+  });
+}
 
 // ── KEEP-ALIVE ────────────────────────────────────────────
 setInterval(async () => {
   if (new Date().getUTCHours() >= 23) return;
-  try { await axios.get(`${BASE_URL}/`, { timeout: 5000 }); console.log('⏰ Keep-alive'); }
+  try { await axios.get(`${BASE_URL}/live`, { timeout: 10000 }); console.log('⏰ Keep-alive'); }
   catch (_) {}
 }, 10 * 60 * 1000);
 
 // ── START ─────────────────────────────────────────────────
 app.listen(PORT, () => {
   console.log(`✅ Server: ${BASE_URL}`);
-  console.log(`📦 Install: stremio://${BASE_URL.replace(/^https?:\/\//, '')}/YOUR_RD_KEY/manifest.json`);
+  console.log(`📦 Configure: ${BASE_URL}/configure`);
 });
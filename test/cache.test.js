@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File-backed caches write into a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_DIR = dir;
+const cacheStore = require('../lib/cache');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('fresh entries are hits, expired ones are gone', () => {
+  const cache = cacheStore.createCache('test-ttl', { ttl: 60000 });
+  cache.set('a', 1);
+  cache.set('b', 2, 0);
+  assert.strictEqual(cache.get('a'), 1);
+  assert.strictEqual(cache.getEntry('b'), null);
+  assert.deepStrictEqual(cache.keys(), ['a']);
+});
+
+test('expired entries are served as stale within staleTtl', () => {
+  const cache = cacheStore.createCache('test-stale', { ttl: 60000, staleTtl: 60000 });
+  cache.set('a', 1, 0);
+  assert.deepStrictEqual(cache.getEntry('a'), { value: 1, stale: true });
+  // get() only returns fresh values
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.deepStrictEqual(cache.stats, { hit: 0, stale: 2, miss: 0 });
+});
+
+test('the least recently used entry is evicted first', () => {
+  const cache = cacheStore.createCache('test-lru', { ttl: 60000, maxSize: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+  assert.deepStrictEqual(cache.keys().sort(), ['a', 'c']);
+});
+
+test('prune drops entries past their TTL and stale window', () => {
+  const cache = cacheStore.createCache('test-prune', { ttl: 60000 });
+  cache.set('a', 1);
+  cache.set('b', 2, 0);
+  cache.set('c', 3, 0);
+  assert.strictEqual(cache.prune(), 2);
+  assert.strictEqual(cache.size, 1);
+});
+
+test('persisted caches survive a reload and reads never schedule a write', t => {
+  const timers = t.mock.method(globalThis, 'setTimeout');
+  const cache = cacheStore.createCache('test-persist', { ttl: 60000, persist: true });
+  cache.set('a', { id: 1 });
+  assert.strictEqual(timers.mock.callCount(), 1);
+  cache.flush();
+
+  cache.get('a');
+  cache.get('missing');
+  assert.strictEqual(timers.mock.callCount(), 1);
+
+  const reloaded = cacheStore.createCache('test-persist', { ttl: 60000, persist: true });
+  assert.deepStrictEqual(reloaded.get('a'), { id: 1 });
+});
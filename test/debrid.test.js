@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const upstream = require('../lib/upstream');
+
+// Fake RealDebrid account: torrents by id, every call recorded; installed before the providers load
+const account = { torrents: {}, calls: [], nextId: 1 };
+const fakeHttp = {
+  async get(url) {
+    account.calls.push(['get', url]);
+    if (url.endsWith('/torrents')) {
+      return { data: Object.values(account.torrents).map(t => ({ id: t.id, hash: t.hash, status: t.status })) };
+    }
+    const id = url.split('/').pop();
+    return { data: account.torrents[id] };
+  },
+  async post(url, body) {
+    account.calls.push(['post', url, body]);
+    if (url.endsWith('/addMagnet')) {
+      const id = `T${account.nextId++}`;
+      account.torrents[id] = { id, hash: 'abc', status: 'waiting_files_selection', files: files(), links: [] };
+      return { data: { id } };
+    }
+    const id = url.split('/').pop();
+    const selected = body.replace('files=', '').split(',').map(Number);
+    const torrent = account.torrents[id];
+    torrent.files.forEach(f => { f.selected = selected.includes(f.id) ? 1 : 0; });
+    torrent.status = 'downloaded';
+    torrent.links = selected.map(n => `https://rd/link/${id}/${n}`);
+    return { data: null };
+  },
+};
+upstream.client = () => fakeHttp;
+
+const realdebrid = require('../lib/debrid/realdebrid');
+const { pickEpisodeFile } = require('../lib/debrid');
+
+const MAGNET = 'magnet:?xt=urn:btih:ABC';
+
+function files() {
+  return [1, 2, 3].map(n => ({ id: n, path: `/[Group] Show - 0${n} (1080p).mkv`, bytes: 1000, selected: 0 }));
+}
+
+function reset() {
+  account.torrents = {};
+  account.calls = [];
+  account.nextId = 1;
+}
+
+const selectCalls = () => account.calls.filter(([, url]) => url.includes('/selectFiles/'));
+
+test('a new torrent gets only the requested file selected', async () => {
+  reset();
+  const handle = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', handle, 2);
+  assert.deepStrictEqual(selectCalls().map(c => c[2]), ['files=2']);
+  assert.strictEqual(await realdebrid.getFileLink('key', handle, 2), 'https://rd/link/T1/2');
+  assert.deepStrictEqual(handle.added, ['T1']);
+});
+
+test('a copy with the file already selected is reused', async () => {
+  reset();
+  const first = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', first, 2);
+
+  const again = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', again, 2);
+  assert.strictEqual(again.id, 'T1');
+  assert.deepStrictEqual(again.added, []);
+  assert.strictEqual(Object.keys(account.torrents).length, 1);
+});
+
+test('another episode of the batch adds one copy for that file', async () => {
+  reset();
+  const first = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', first, 1);
+
+  const next = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', next, 3);
+  assert.strictEqual(next.id, 'T2');
+  assert.deepStrictEqual(next.added, ['T2']);
+  assert.deepStrictEqual(selectCalls().map(c => c[2]), ['files=1', 'files=3']);
+  assert.strictEqual(await realdebrid.getFileLink('key', next, 3), 'https://rd/link/T2/3');
+});
+
+test('a copy without the requested file never falls back to another link', async () => {
+  reset();
+  const handle = await realdebrid.addMagnet('key', MAGNET);
+  await realdebrid.selectFile('key', handle, 1);
+  await assert.rejects(realdebrid.getFileLink('key', handle, 3), err => err.debridError && err.code === 'no_matching_file');
+});
+
+test('no link while the selection is not applied yet', async () => {
+  reset();
+  const handle = await realdebrid.addMagnet('key', MAGNET);
+  assert.strictEqual(await realdebrid.getFileLink('key', handle, 1), null);
+});
+
+test('pickEpisodeFile takes the episode, skipping extras', () => {
+  const batch = [
+    { id: 1, path: 'Show/[Group] Show - 01 (1080p).mkv', bytes: 900 },
+    { id: 2, path: 'Show/[Group] Show - 02 (1080p).mkv', bytes: 900 },
+    { id: 3, path: 'Show/Extras/[Group] Show - NCOP 01 (1080p).mkv', bytes: 100 },
+    { id: 4, path: 'Show/[Group] Show - 02 (1080p).ass', bytes: 1 },
+  ];
+  assert.strictEqual(pickEpisodeFile(batch, { season: 1, episode: 2 }).id, 2);
+  assert.strictEqual(pickEpisodeFile(batch, { season: 1, episode: 5 }), null);
+  // Movie: the largest video
+  assert.strictEqual(pickEpisodeFile(batch, {}).id, 1);
+});
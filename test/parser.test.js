@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReleaseName, coversEpisode } = require('../lib/parser');
+const corpus = require('./fixtures/release-names.json');
+
+// Fixture corpus: real release names of the usual groups with every field they should parse to
+for (const { name, ...expected } of corpus) {
+  test(name, () => {
+    const parsed = parseReleaseName(name);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepStrictEqual(parsed[field], value, `${field} of "${name}"`);
+    }
+  });
+}
+
+test('batch ranges cover only their episodes', () => {
+  const batch = parseReleaseName('[Erai-raws] Spy x Family Season 2 - 01 ~ 12 [1080p][Multiple Subtitle]');
+  assert.ok(coversEpisode(batch, [5]));
+  assert.ok(!coversEpisode(batch, [13]));
+
+  const single = parseReleaseName('[SubsPlease] Sousou no Frieren - 05 (1080p) [F2A9C1B4].mkv');
+  assert.ok(coversEpisode(single, [5]));
+  assert.ok(!coversEpisode(single, [6]));
+  // Absolute numbering: S2E05 after a 25-episode S1
+  assert.ok(coversEpisode(parseReleaseName('[SubsPlease] Jujutsu Kaisen - 30 (1080p) [8C2B7D11].mkv'), [5, 30]));
+});
+
+test('a season number before the episode is not a range', () => {
+  const parsed = parseReleaseName('[SubsPlease] Dr. Stone 3 - 05 (1080p) [0F1E2D3C].mkv');
+  assert.strictEqual(parsed.episodeRange, null);
+  assert.strictEqual(parsed.episode, 5);
+  assert.strictEqual(parsed.batch, false);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONFIG_SECRET = 'test-secret';
+const secure = require('../lib/secure');
+
+// Fresh copy of the module with another CONFIG_SECRET (a redeploy with a new secret)
+function loadWithSecret(secret) {
+  const modulePath = require.resolve('../lib/secure');
+  delete require.cache[modulePath];
+  process.env.CONFIG_SECRET = secret;
+  const other = require('../lib/secure');
+  delete require.cache[modulePath];
+  process.env.CONFIG_SECRET = 'test-secret';
+  return other;
+}
+
+test('sealed config tokens round-trip and are deterministic', () => {
+  const config = { debridKey: 'ABC123', resolutions: ['1080p'] };
+  const token = secure.seal(config);
+  assert.ok(secure.isSealed(token));
+  assert.ok(!token.includes('ABC123'));
+  assert.strictEqual(secure.seal(config), token);
+  assert.deepStrictEqual(secure.unseal(token), config);
+});
+
+test('tampered, foreign or unsealed tokens unseal to null', () => {
+  const token = secure.seal({ debridKey: 'ABC123' });
+  // Flip a character inside the ciphertext (the last one may only hold padding bits)
+  const i = token.length - 5;
+  assert.strictEqual(secure.unseal(token.slice(0, i) + (token[i] === 'A' ? 'B' : 'A') + token.slice(i + 1)), null);
+  assert.strictEqual(secure.unseal(token.slice(0, 20)), null);
+  assert.strictEqual(secure.unseal('eyJkZWJyaWRLZXkiOiJBQkMifQ'), null);
+  assert.strictEqual(loadWithSecret('another-secret').unseal(token), null);
+});
+
+test('signatures only verify their own value', () => {
+  const signature = secure.sign('abc|1|5|');
+  assert.strictEqual(signature.length, 16);
+  assert.ok(secure.verify('abc|1|5|', signature));
+  assert.ok(!secure.verify('abc|1|6|', signature));
+  assert.ok(!secure.verify('abc|1|5|', undefined));
+});
+
+test('fingerprints do not depend on the secret', () => {
+  assert.strictEqual(secure.fingerprint('ABC123'), loadWithSecret('another-secret').fingerprint('ABC123'));
+  assert.notStrictEqual(secure.fingerprint('ABC123'), secure.fingerprint('ABC124'));
+});
+
+test('redactUrl hides the config segment and credential parameters', () => {
+  assert.strictEqual(secure.redactUrl('/v1.abcdef/stream/series/kitsu:1:5.json'), '/<config>/stream/series/kitsu:1:5.json');
+  assert.strictEqual(secure.redactUrl('/configure'), '/configure');
+  assert.strictEqual(secure.redactUrl('/debug/stream/series/tt1?token=secret&x=1'), '/debug/stream/series/tt1?token=<redacted>&x=1');
+});
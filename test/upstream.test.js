@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const upstream = require('../lib/upstream');
+
+// Local server answering every request with the status of the current scenario;
+// Retry-After: 0 keeps the retries instant
+function startServer() {
+  const server = http.createServer((req, res) => {
+    server.requests++;
+    res.writeHead(server.status, { 'Retry-After': '0' });
+    res.end();
+  });
+  server.status = 200;
+  server.requests = 0;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('circuit opens after 5 failed requests, not 5 failed attempts', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  server.status = 503;
+  const client = upstream.client('test:threshold', { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+  for (let i = 0; i < 4; i++) await assert.rejects(client.get('/'));
+  // 4 requests with 2 retries each = 12 attempts
+  assert.strictEqual(server.requests, 12);
+  assert.strictEqual(upstream.isCircuitOpen('test:threshold'), false);
+
+  await assert.rejects(client.get('/'));
+  assert.strictEqual(upstream.isCircuitOpen('test:threshold'), true);
+  await assert.rejects(client.get('/'), err => err.code === 'ECIRCUITOPEN');
+  assert.strictEqual(server.requests, 15);
+});
+
+test('a success resets the failure count', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const client = upstream.client('test:reset', { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+  server.status = 503;
+  for (let i = 0; i < 4; i++) await assert.rejects(client.get('/'));
+  server.status = 200;
+  await client.get('/');
+  server.status = 503;
+  for (let i = 0; i < 4; i++) await assert.rejects(client.get('/'));
+  assert.strictEqual(upstream.isCircuitOpen('test:reset'), false);
+});
+
+test('client errors are not retried and do not count as failures', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  server.status = 401;
+  const client = upstream.client('test:client-error', { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+  for (let i = 0; i < 6; i++) await assert.rejects(client.get('/'), err => err.response?.status === 401);
+  assert.strictEqual(server.requests, 6);
+  assert.strictEqual(upstream.isCircuitOpen('test:client-error'), false);
+});
+
+test('non-idempotent POSTs are not retried on 5xx', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  server.status = 503;
+  const client = upstream.client('test:post', { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+  await assert.rejects(client.post('/', 'x=1'));
+  assert.strictEqual(server.requests, 1);
+});